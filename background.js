@@ -1,651 +1,2827 @@
-```javascript
-// background.js
-// This is the service worker script for the Instagram automation Chrome extension.
-// It acts as the central controller, managing state, settings, scheduling,
-// and communication between the popup UI and the content script.
-
-
-// --- State Variables ---
-let isActive = false; // Overall automation state (true when running)
-let currentTabId = null; // The ID of the Instagram tab where the content script is active
-let actionType = null; // 'follow' or 'unfollow'
-let settings = {}; // Stores current automation settings
-let processedToday = 0; // Number of actions completed today across sessions
-let sessionProcessedCount = 0; // Number of actions completed in the current session/run
-let currentTargets = []; // List of targets identified by the content script
-let currentIndex = 0; // Index of the current target being processed
-let isPausedForBatch = false; // Flag to indicate if currently in a long batch pause
-
-
-// --- Default Settings ---
-const DEFAULT_SETTINGS = {
-    intervalMin: 5, // seconds min
-    intervalMax: 10, // seconds max
-    actionsPerBatch: 10, // actions
-    pauseBetweenBatchesMin: 300, // seconds min (5 minutes)
-    pauseBetweenBatchesMax: 600, // seconds max (10 minutes)
-    dailyLimit: 100, // actions
-    unfollowNonFollowers: false, // Unfollow only users who don't follow back? (Requires check - TBI)
-    unfollowPrivate: false // Unfollow users with private profiles? (Requires check - TBI)
-};
-
-// --- Chrome Storage Keys ---
-const STORAGE_KEYS = {
-    SETTINGS: 'instagramAutomationSettings',
-    STATE: 'instagramAutomationState' // For persistent state like daily count
-};
-
-// --- Alarm Names ---
-const ALARM_NAMES = {
-    PERFORM_ACTION: 'performActionAlarm',
-    BATCH_PAUSE: 'batchPauseAlarm',
-    DAILY_RESET: 'dailyResetAlarm' // To reset daily count
-};
-
-// --- Helper Functions ---
-
-/
- * Generates a random integer between min and max (inclusive).
- */
-function getRandomInt(min, max) {
-    min = Math.ceil(min);
-    max = Math.floor(max);
-    return Math.floor(Math.random() * (max - min + 1)) + min;
-}
-
-/
- * Gets the automation status object.
- */
-function getStatus() {
-    return {
-        isActive: isActive,
-        actionType: actionType,
-        currentTabId: currentTabId,
-        settings: settings,
-        processedToday: processedToday,
-        sessionProcessedCount: sessionProcessedCount,
-        currentTargetCount: currentTargets.length,
-        currentIndex: currentIndex,
-        isPausedForBatch: isPausedForBatch,
-        statusText: isActive ?
-                    (isPausedForBatch ? `Paused for batch break (${sessionProcessedCount}/${settings.actionsPerBatch}). Next action in progress...` : `Running (${sessionProcessedCount}/${settings.actionsPerBatch} in batch), ${processedToday}/${settings.dailyLimit} today.`)
-                    : 'Idle'
-    };
-}
-
-/
- * Sends the current status to the popup UI.
- */
-function sendStatusToPopup() {
-    chrome.runtime.sendMessage({ type: 'statusUpdate', payload: getStatus() }).catch(e => {
-        // Ignore errors if popup is not open
-        if (!e.message.includes('disconnect') && !e.message.includes('unregistered extension')) {
-             console.error("Error sending status to popup:", e);
-        }
-    });
-}
-
-/
- * Loads settings and state from storage. Initializes with defaults if not found.
- */
-async function loadSettingsAndState() {
-    try {
-        const data = await chrome.storage.local.get([STORAGE_KEYS.SETTINGS, STORAGE_KEYS.STATE]);
-        settings = { ...DEFAULT_SETTINGS, ...(data[STORAGE_KEYS.SETTINGS] || {}) };
-
-        const now = Date.now();
-        const twentyFourHoursAgo = now - 24 * 60 * 60 * 1000;
-        const savedState = data[STORAGE_KEYS.STATE] || { processedToday: 0, lastActionTimestamp: 0 };
-
-        // Reset daily count if last action was more than 24 hours ago
-        if (savedState.lastActionTimestamp < twentyFourHoursAgo) {
-            processedToday = 0;
-            console.log("Daily count reset.");
-        } else {
-            processedToday = savedState.processedToday;
-        }
-
-        console.log("Settings loaded:", settings);
-        console.log("State loaded (processedToday):", processedToday);
-
-    } catch (error) {
-        console.error("Error loading settings or state:", error);
-        settings = DEFAULT_SETTINGS; // Fallback to defaults
-        processedToday = 0;
-        // Attempt to save defaults if loading failed
-        await saveSettings(DEFAULT_SETTINGS).catch(e => console.error("Failed to save default settings:", e));
-        await saveState({ processedToday: 0, lastActionTimestamp: 0 }).catch(e => console.error("Failed to save default state:", e));
-    }
-     sendStatusToPopup(); // Send initial status after loading
-}
-
-/
- * Saves settings to storage.
- * @param {object} newSettings - The settings object to save.
- */
-async function saveSettings(newSettings) {
-    settings = { ...settings, ...newSettings };
-    try {
-        await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: settings });
-        console.log("Settings saved:", settings);
-        sendStatusToPopup(); // Update popup after saving
-    } catch (error) {
-        console.error("Error saving settings:", error);
-    }
-}
-
-/
- * Saves state (like daily count) to storage.
- * @param {object} newState - The state object to save.
- */
-async function saveState(newState) {
-     try {
-        const currentState = await chrome.storage.local.get(STORAGE_KEYS.STATE);
-        const stateToSave = { ...(currentState[STORAGE_KEYS.STATE] || {}), ...newState };
-        await chrome.storage.local.set({ [STORAGE_KEYS.STATE]: stateToSave });
-        // console.log("State saved:", stateToSave); // Log frequently, maybe too noisy
-     } catch (error) {
-         console.error("Error saving state:", error);
-     }
-}
-
-
-/
- * Finds the active Instagram tab.
- * @returns {Promise<number|null>} - Resolves with the tab ID or null if not found.
- */
-async function findInstagramTab() {
-    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-    const instagramTab = tabs.find(tab => tab.url && tab.url.includes('instagram.com'));
-
-    if (instagramTab) {
-        console.log("Found Instagram tab:", instagramTab.id);
-        return instagramTab.id;
-    } else {
-        console.warn("No active Instagram tab found.");
-        return null;
-    }
-}
-
-/
- * Injects the content script into the specified tab if it's not already there.
- * @param {number} tabId - The ID of the target tab.
- * @returns {Promise<boolean>} - Resolves true if successful or already injected, false on failure.
- */
-async function injectContentScript(tabId) {
-    if (tabId === null) return false;
-
-    try {
-         // Check if content script is already injected by attempting to send a test message
-         // If it fails, inject the script.
-         const response = await chrome.tabs.sendMessage(tabId, { command: 'getStatus' }).catch(() => null);
-
-         if (response && response.status !== undefined) {
-             console.log(`Content script already injected in tab ${tabId}. Status: ${response.status}`);
-             return true; // Content script is responding, assume injected
-         } else {
-             console.log(`Content script not detected in tab ${tabId}. Injecting...`);
-             await chrome.scripting.executeScript({
-                 target: { tabId: tabId },
-                 files: ['content_script.js']
-             });
-             console.log(`Content script injected into tab ${tabId}. Waiting for 'ready' message...`);
-             // Wait for a 'ready' message from the content script before proceeding
-             return new Promise((resolve, reject) => {
-                 const timeout = setTimeout(() => reject('Content script ready timeout'), 10000); // 10 sec timeout
-                 const listener = (message, sender, sendResponse) => {
-                      if (sender.tab && sender.tab.id === tabId && message.status === 'ready') {
-                           console.log("Content script reported ready.");
-                           clearTimeout(timeout);
-                           chrome.runtime.onMessage.removeListener(listener);
-                           resolve(true);
-                      }
-                 };
-                 chrome.runtime.onMessage.addListener(listener);
-             });
-         }
-
-    } catch (error) {
-        console.error(`Failed to inject or communicate with content script in tab ${tabId}:`, error);
-        return false;
-    }
-}
-
-
-// --- Automation Core Logic ---
-
-/
- * Starts the automation process.
- * @param {'follow'|'unfollow'} type - The type of action to perform.
- */
-async function startAutomation(type) {
-    if (isActive) {
-        console.warn("Automation is already active.");
-         sendStatusToPopup();
-        return;
-    }
-
-    await loadSettingsAndState(); // Ensure latest settings and state are loaded
-
-    if (processedToday >= settings.dailyLimit) {
-         console.warn(`Daily limit (${settings.dailyLimit}) reached. Cannot start.`);
-         sendStatusToPopup(); // Update status to show limit reached
-         return;
-    }
-
-    console.log(`Attempting to start ${type} automation.`);
-    actionType = type;
-    sessionProcessedCount = 0;
-    currentTargets = [];
-    currentIndex = 0;
-    isPausedForBatch = false;
-
-    currentTabId = await findInstagramTab();
-
-    if (!currentTabId) {
-        console.error("Cannot start automation: No active Instagram tab found.");
-        isActive = false;
-        actionType = null;
-        sendStatusToPopup();
-        return;
-    }
-
-    const scriptInjected = await injectContentScript(currentTabId);
-
-    if (!scriptInjected) {
-        console.error("Failed to inject content script. Cannot start automation.");
-        isActive = false;
-        actionType = null;
-         currentTabId = null;
-        sendStatusToPopup();
-        return;
-    }
-
-    // Start the automation loop by finding targets
-    isActive = true;
-    console.log("Automation started.");
-    sendStatusToPopup();
-
-    // Let the content script know to start scanning
-    chrome.tabs.sendMessage(currentTabId, { command: 'startAutomation', actionType: actionType })
-        .then(() => {
-             // After content script starts scanning, request it to find targets
-             scheduleNextAction(1000); // Short delay to let content script initialize
-        })
-        .catch(error => {
-            console.error("Error sending start command to content script:", error);
-            stopAutomation();
-        });
-}
-
-/
- * Stops the automation process.
- */
-function stopAutomation() {
-    if (!isActive && !isPausedForBatch) {
-        console.warn("Automation is not currently active or paused.");
-        return;
-    }
-    console.log("Stopping automation.");
-    isActive = false;
-    isPausedForBatch = false;
-    actionType = null;
-    sessionProcessedCount = 0;
-    currentTargets = [];
-    currentIndex = 0;
-
-    // Clear any scheduled alarms
-    chrome.alarms.clear(ALARM_NAMES.PERFORM_ACTION);
-    chrome.alarms.clear(ALARM_NAMES.BATCH_PAUSE);
-    //chrome.alarms.clear(ALARM_NAMES.DAILY_RESET); // Keep daily reset alarm
-
-    // Notify the content script to stop
-    if (currentTabId !== null) {
-        chrome.tabs.sendMessage(currentTabId, { command: 'stopAutomation' }).catch(e => console.warn("Error notifying content script to stop:", e));
-        currentTabId = null; // Clear tab ID reference on stop
-    }
-
-    sendStatusToPopup();
-}
-
-/
- * Schedules the next action using a random timer.
- * @param {number} [delayMs] - Optional specific delay in milliseconds. If not provided, uses random interval from settings.
- */
-function scheduleNextAction(delayMs) {
-    if (!isActive) {
-        console.log("Automation not active, not scheduling next action.");
-        return;
-    }
-
-     // Clear any existing action alarm before setting a new one
-     chrome.alarms.clear(ALARM_NAMES.PERFORM_ACTION);
-
-    const delaySeconds = delayMs !== undefined ? delayMs / 1000 : getRandomInt(settings.intervalMin, settings.intervalMax);
-    const delayMilliseconds = delaySeconds * 1000;
-
-    console.log(`Scheduling next action in ${delaySeconds.toFixed(1)} seconds.`);
-
-    chrome.alarms.create(ALARM_NAMES.PERFORM_ACTION, { delayInMinutes: delayMilliseconds / 60000 });
-     sendStatusToPopup(); // Update status to reflect pending action/delay
-}
-
-/
- * Schedules a long pause between batches.
- */
-function scheduleBatchPause() {
-    isActive = false; // Temporarily set isActive to false while pausing
-    isPausedForBatch = true;
-    sessionProcessedCount = 0; // Reset session count after batch
-    currentTargets = []; // Clear targets for the next batch
-    currentIndex = 0;
-
-    const pauseSeconds = getRandomInt(settings.pauseBetweenBatchesMin, settings.pauseBetweenBatchesMax);
-    const pauseMilliseconds = pauseSeconds * 1000;
-
-    console.log(`Batch completed. Scheduling long pause of ${pauseSeconds} seconds.`);
-
-    chrome.alarms.clear(ALARM_NAMES.PERFORM_ACTION); // Ensure action alarm is cleared
-    chrome.alarms.create(ALARM_NAMES.BATCH_PAUSE, { delayInMinutes: pauseMilliseconds / 60000 });
-     sendStatusToPopup(); // Status will reflect "Paused for batch break"
-}
-
-/
- * Executes the logic for performing the next action in the automation loop.
- * Triggered by the 'performActionAlarm'.
- */
-async function executeNextAction() {
-    if (!isActive) {
-        console.log("Execute next action called but automation is not active.");
-        sendStatusToPopup();
-        return;
-    }
-
-    await loadSettingsAndState(); // Ensure latest state is loaded
-
-    // Re-check daily limit before performing the action
-    if (processedToday >= settings.dailyLimit) {
-        console.warn(`Daily limit (${settings.dailyLimit}) reached. Stopping automation.`);
-        stopAutomation();
-        sendStatusToPopup();
-        return;
-    }
-
-     // Check session limit (batch limit)
-     if (sessionProcessedCount >= settings.actionsPerBatch) {
-         console.log(`Batch limit (${settings.actionsPerBatch}) reached.`);
-         scheduleBatchPause();
-         return; // Stop executing actions until batch pause is over
-     }
-
-
-    // Check if the current tab is still valid
-    if (currentTabId === null) {
-        console.warn("Current tab ID is null. Cannot perform action.");
-        stopAutomation();
-        sendStatusToPopup();
-        return;
-    }
-     const tab = await chrome.tabs.get(currentTabId).catch(() => null);
-     if (!tab || !tab.url || !tab.url.includes('instagram.com')) {
-         console.warn(`Tab ${currentTabId} is no longer valid or not on Instagram. Stopping automation.`);
-         stopAutomation();
-         sendStatusToPopup();
-         return;
-     }
-
-
-    console.log(`Executing action ${sessionProcessedCount + 1} (daily: ${processedToday + 1})...`);
-
-
-    // Ask content script to perform the next action
-    chrome.tabs.sendMessage(currentTabId, { command: 'performAction' })
-    .catch(error => {
-        console.error(`Error sending 'performAction' command to content script in tab ${currentTabId}:`, error);
-        // If messaging fails, the tab might be gone or content script crashed
-        stopAutomation();
-        sendStatusToPopup();
-    });
-
-    // Content script will handle finding/clicking the actual element
-    // and will report back via `actionCompleted`, `actionFailed`, `actionBlocked`, etc.
-    // The scheduling of the *next* action or batch pause happens after the content script
-    // reports its outcome via message listener.
-
-     sendStatusToPopup(); // Update status immediately before sending the command
-}
-
-
-// --- Chrome Event Listeners ---
-
-// Listener for messages from popup or content script
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    console.log("Background received message:", request);
-
-    // Handle messages from Popup
-    if (sender.tab === undefined) { // Message from popup (or other extension pages)
-        switch (request.command) {
-            case 'startAutomation':
-                startAutomation(request.actionType);
-                sendResponse({ status: 'acknowledged' });
-                break;
-            case 'stopAutomation':
-                stopAutomation();
-                sendResponse({ status: 'acknowledged' });
-                break;
-            case 'getSettings':
-                sendResponse({ settings: settings });
-                break;
-            case 'saveSettings':
-                saveSettings(request.settings);
-                sendResponse({ status: 'acknowledged' });
-                break;
-            case 'getStatus':
-                sendResponse(getStatus());
-                break;
-            default:
-                console.warn("Unknown command from popup:", request.command);
-                 sendResponse({ status: 'unknown_command' });
-        }
-    } else { // Message from content script
-        if (sender.tab && sender.tab.id !== currentTabId) {
-             console.warn(`Received message from unexpected tab ${sender.tab.id}. Current tab is ${currentTabId}. Ignoring content script message.`);
-             // Optionally, stop automation if this indicates an issue with the active tab
-             // stopAutomation();
-             return true; // Indicate async response, though we won't send one
-        }
-
-        switch (request.status) {
-            case 'ready':
-                console.log("Content script in the active tab is ready.");
-                 // This confirms the content script is loaded after injection attempt or tab finding
-                 // No action needed here, we wait for the 'startAutomation' command from popup
-                 // and then schedule the find/perform sequence.
-                break;
-            case 'running':
-                 console.log("Content script reports running.");
-                // This is an acknowledge from content script after receiving startAutomation command
-                // The next step is scheduleNextAction which calls performNextAction remotely
-                 break;
-            case 'stopped':
-                console.log("Content script reported stopped.");
-                 // This might happen if CS detects something critical or is explicitly stopped.
-                 if (isActive) { // Only process if background thinks it's active
-                      console.warn("Automation stopped unexpectedly by content script.");
-                      stopAutomation(); // Sync background state
-                 }
-                break;
-            case 'actionCompleted':
-                console.log(`Content script reported action completed.`);
-                sessionProcessedCount++;
-                processedToday++;
-                saveState({ processedToday: processedToday, lastActionTimestamp: Date.now() }); // Save daily count and timestamp
-                sendStatusToPopup(); // Update UI with new counts
-
-                // Check limits before scheduling the next action
-                if (processedToday >= settings.dailyLimit) {
-                    console.warn(`Daily limit (${settings.dailyLimit}) reached. Stopping automation.`);
-                    stopAutomation();
-                    // Clear daily reset alarm might be needed if using persistent state across 24h cycle
-                    // For now, basic saving and loading handles 24h window.
-                } else if (sessionProcessedCount >= settings.actionsPerBatch) {
-                    console.log(`Batch limit (${settings.actionsPerBatch}) reached.`);
-                    scheduleBatchPause();
-                } else {
-                    // Schedule the next action with random delay
-                    scheduleNextAction();
-                }
-                break;
-            case 'actionFailed':
-                console.warn(`Content script reported action failed:`, request);
-                // Decide error handling: Stop, retry, skip user?
-                // For now, just log and move to the next by scheduling, unless it's a critical type.
-                 if (request.type === 'domParsingError' || request.type === 'clickError') {
-                     console.error("Critical failure reported by content script. Stopping automation.");
-                     stopAutomation(); // Stop on critical DOM/click errors
-                 } else {
-                     console.warn("Non-critical action failed, proceeding with next action.");
-                     // Schedule the next action as usual
-                     scheduleNextAction();
-                 }
-                 sendStatusToPopup(); // Update status - maybe add an error flag or count
-
-                break;
-            case 'actionBlocked':
-                console.error("Content script detected Action Blocked. Stopping automation.");
-                // Immediately stop on action block detection
-                stopAutomation();
-                // Optionally, add a longer cooldown mechanism or error state to storage
-                sendStatusToPopup();
-                break;
-             case 'userSkipped':
-                 console.log(`Content script skipped user "${request.username}": ${request.details}`);
-                 // User was skipped (e.g., button state changed, no button).
-                 // The content script already advanced its index.
-                 // We proceed to schedule the *next* action immediately without waiting for the random delay,
-                 // to avoid penalizing for skipped users.
-                 console.log("Scheduling next action immediately after skip.");
-                 scheduleNextAction(100); // Schedule with a minimal delay
-                 sendStatusToPopup(); // Update status - maybe show skipped count
-                 break;
-            case 'targetsFound':
-                 // This message reports the initial targets found by the content script
-                 console.log(`Content script reported ${request.count} targets found.`);
-                 // We don't necessarily need the full list unless the background script
-                 // is deciding *which* target element selector to send.
-                 // Currently, CS decides which to click based on index.
-                 break;
-            case 'completed':
-                  console.log(`Content script reports automation completed: ${request.message}`);
-                  // This means the content script has exhausted targets on the current view
-                  // or finished its task.
-                  stopAutomation(); // Stop automation from background side
-                  sendStatusToPopup();
-                  break;
-             case 'error':
-                 console.error(`Content script reported error: type=${request.type}, details=${request.details}`);
-                 // Handle various content script errors. Critical errors should stop automation.
-                 // Examples: domParsingError, clickError, page structure changed fundamentally.
-                 if (request.type === 'domParsingError' || request.type === 'clickError' || request.type === 'noTargetAtIndex') {
-                     console.error("Critical error from content script. Stopping automation.");
-                     stopAutomation();
-                 } else {
-                     console.warn("Non-critical error from content script. Automation may continue.", request);
-                     // For non-critical errors, might continue or implement retry/backoff
-                     // Currently, scheduledNextAction() is handled by 'actionCompleted'/'actionFailed',
-                     // so we don't need to schedule here unless stopping.
-                 }
-                 sendStatusToPopup(); // Update status - maybe add an error message
-                 break;
-            default:
-                console.warn("Unknown status message from content script:", request);
-                 // sendResponse({ status: 'unknown_status' }); // Don't send response to CS messages usually
-        }
-        // For content script messages, return true if async response is needed (rare)
-        // For now, no async response is needed for status updates.
-        return true; // Indicate async response potential anyway for robustness
-    }
-});
-
-// Listener for alarms
-chrome.alarms.onAlarm.addListener(async (alarm) => {
-    if (alarm.name === ALARM_NAMES.PERFORM_ACTION) {
-        console.log("Alarm triggered:", ALARM_NAMES.PERFORM_ACTION);
-        executeNextAction();
-    } else if (alarm.name === ALARM_NAMES.BATCH_PAUSE) {
-        console.log("Alarm triggered:", ALARM_NAMES.BATCH_PAUSE);
-        // Batch pause is over, resume automation
-        isPausedForBatch = false;
-        isActive = true; // Resume active state
-        console.log("Batch pause over. Resuming automation.");
-        // Immediately attempt to find the next batch of targets and perform the first action
-        // The content script will find initial targets, and then performNextAction will be called.
-         if (currentTabId !== null) {
-             // Request content script to start scanning for the next batch
-             chrome.tabs.sendMessage(currentTabId, { command: 'startAutomation', actionType: actionType })
-                 .then(() => {
-                     // Schedule the first action of the new batch after a small delay
-                     scheduleNextAction(1000); // Short delay before first action of batch
-                 })
-                 .catch(error => {
-                     console.error("Error restarting content script for new batch:", error);
-                     stopAutomation();
-                 });
-         } else {
-             console.error("Cannot resume batch: currentTabId is null.");
-             stopAutomation();
-         }
-
-        sendStatusToPopup(); // Update status to show not paused anymore
-
-    } else if (alarm.name === ALARM_NAMES.DAILY_RESET) {
-         console.log("Daily reset alarm triggered. Resetting daily count.");
-         processedToday = 0;
-         saveState({ processedToday: 0, lastActionTimestamp: Date.now() });
-         sendStatusToPopup();
-          // Reschedule the daily reset for the next 24 hours
-         scheduleDailyReset(); // Schedule the next reset
-    }
-});
-
-// Listener for tab updates (URL changes, tab closing)
-chrome.tabs.onUpdated.addListener((tabId_updated, changeInfo, tab) => {
-     // Check if the updated tab is the one we're automating on and if automation is active
-     if (isActive && currentTabId !== null && tabId_updated === currentTabId) {
-          // Check if the URL is still an Instagram URL
-          if (changeInfo.url && !changeInfo.url.includes('instagram.com')) {
-               console.warn(`Tab ${tabId_updated} changed URL away from Instagram. Stopping automation.`);
-               stopAutomation();
-          }
-          // We could also listen for `status: 'complete'` after a page reload
-          // and potentially re-inject/re-start automation if needed, but for simplicity
-          // stopping is safer on URL change away from Instagram.
-     }
-});
-
-// Listener for tab removal (tab closing)
-chrome.tabs.onRemoved.addListener((tabId_removed, removeInfo) => {
-    // Check if the removed tab is the one we're automating on and if automation is active
-    if (isActive && currentTabId !== null && tabId_removed === currentTabId) {
-        console.warn(`Tab ${tabId_removed} was closed. Stopping automation.`);
-        stopAutomation();
-    }
-});
-
-
-// --- Initialization ---
-
-// Function to schedule the daily reset alarm
-function scheduleDailyReset() {
-     // Schedule the alarm to trigger roughly 24 hours from now
-     // This handles resetting the daily count even if the browser is closed/reopened.
-     chrome.alarms.create(ALARM_NAMES.DAILY_RESET, { periodInMinutes: 24 * 60 }); // 24 hours
-     console.log("Daily reset alarm scheduled.");
-}
-
-
-// Initialize settings and state when the service worker starts
-console.log("Background Service Worker started.");
-loadSettingsAndState();
-scheduleDailyReset(); // Ensure the daily reset is scheduled
+```javascript
+// background.js
+// This is the service worker script for the Instagram automation Chrome extension.
+// It acts as the central controller, managing state, settings, scheduling,
+// and communication between the popup UI and the content script.
+
+importScripts('ledger.js'); // Persistent action ledger (IndexedDB)
+importScripts('selectors.js'); // Built-in selector pack and pack validation
+importScripts('filter_rules.js'); // Follow filter rule parser, used by the settings schema
+importScripts('settings_schema.js'); // Settings schema, validation and migration
+
+// --- State Variables ---
+let isActive = false; // Overall automation state (true when running)
+let currentTabId = null; // The ID of the Instagram tab where the content script is active
+let actionType = null; // 'follow' or 'unfollow'
+let settings = {}; // Stores current automation settings
+let processedToday = 0; // Number of completed actions in the current budget window (from the ledger)
+let processedByType = { follow: 0, unfollow: 0 }; // processedToday split by action type
+let hourlyCompletions = { follow: [], unfollow: [] }; // Timestamps of completed actions in the last hour, oldest first
+let budgetInfo = null; // Latest daily budget summary (see refreshDailyBudget)
+let sessionProcessedCount = 0; // Number of actions completed in the current session/run
+let currentTargets = []; // List of targets identified by the content script
+let currentIndex = 0; // Index of the current target being processed
+let isPausedForBatch = false; // Flag to indicate if currently in a long batch pause
+let statusNotice = null; // Why automation last refused to start (shown while idle)
+let cooldownState = { blockEvents: [], lockedUntil: 0, overrides: [] }; // Persisted action-block history and lockout
+let approvedUsernames = null; // Usernames approved in a preview; limits the session to exactly these accounts
+let sessionStartedAt = null; // When the current session was started
+let listRun = null; // Username-list source: { usernames, position, results, openFailures }; null when acting on the open list
+let campaign = null; // Queue of sources worked through in order: { sources, index, progress }; null for single-source runs
+let scheduledUntil = null; // End of the working-hours window that started the current session; null for manual runs
+let lastSessionEnd = null; // { reason, at, actionType, processed } of the last session that ended
+let sessionRestored = false; // False until the persisted session has been rehydrated after a worker start
+
+
+// --- Default Settings ---
+// Types, ranges and defaults of every setting live in settings_schema.js
+const DEFAULT_SETTINGS = getDefaultSettings();
+
+// --- Chrome Storage Keys ---
+const STORAGE_KEYS = {
+    SETTINGS: 'instagramAutomationSettings',
+    STATE: 'instagramAutomationState', // For persistent state like daily count
+    PROTECTED_ACCOUNTS: 'instagramAutomationProtectedAccounts', // Usernames that must never be unfollowed
+    DO_NOT_FOLLOW: 'instagramAutomationDoNotFollow', // Hand edits of the do-not-follow list
+    FOLLOWERS_SNAPSHOT: 'instagramAutomationFollowersSnapshot', // Cached usernames of our own followers
+    FOLLOWING_SNAPSHOT: 'instagramAutomationFollowingSnapshot', // Cached usernames of accounts we follow
+    SELECTOR_PACK: SELECTOR_PACK_STORAGE_KEY, // Imported selector pack (see selectors.js)
+    COOLDOWN: 'instagramAutomationCooldown', // Action-block events, lockout end and overrides
+    SESSION: 'instagramAutomationSession', // Running session, so it survives service worker restarts
+    CAMPAIGN: 'instagramAutomationCampaign', // Campaign sources queued in the popup
+    SCHEDULE_LOG: 'instagramAutomationScheduleLog', // Recent working-hours windows and what happened in them
+    PRESETS: 'instagramAutomationPresets', // Named settings presets and which one is active
+    SCHEDULE_TAB: 'instagramAutomationScheduleTab' // Tab opened for scheduled runs (session storage; tab IDs don't outlive the browser)
+};
+
+// Settings that describe our account rather than how to run; never stored in or applied from a preset
+const PRESET_EXCLUDED_KEYS = ['ownUsername'];
+
+// Identifies exported preset files
+const PRESETS_FILE_FORMAT = 'instagramAutomationPresets';
+const PRESETS_FILE_VERSION = 1;
+
+// Number of schedule log entries kept
+const SCHEDULE_LOG_SIZE = 50;
+
+// Weekday names accepted in schedule lines, indexed like Date.getDay()
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// --- Campaign Source Types ---
+// Each source fixes its action type, except username lists which can be followed or unfollowed.
+const CAMPAIGN_SOURCE_TYPES = {
+    ownFollowing: 'unfollow', // Our own Following list (needs settings.ownUsername)
+    profileFollowers: 'follow', // Followers list of another profile
+    usernameList: null // Imported usernames, each profile visited in turn
+};
+
+// Length of the window the hourly caps count in
+const HOUR_MS = 60 * 60 * 1000;
+
+// Upper bound for a single block cooldown, however many blocks were recorded
+const MAX_BLOCK_COOLDOWN_MS = 7 * 24 * 60 * 60 * 1000;
+
+// A collected followers/following list holding less than this share of the count on the
+// owner's profile was cut short (infinite scroll stalls, e.g. in hidden tabs) and is refused
+const SNAPSHOT_MIN_COVERAGE = 0.95;
+
+// A list counts as complete only if at most this many accounts are missing from the profile's
+// count (deactivated accounts are counted but never listed). A shorter accepted list is partial:
+// it may record follow-backs, but nobody missing from it is taken for a non-follower.
+const SNAPSHOT_COMPLETE_TOLERANCE = 5;
+
+// A username-list run stops after this many profiles in a row could not be opened;
+// fewer are logged as failed and the run moves on
+const MAX_LIST_OPEN_FAILURES = 3;
+
+// --- Alarm Names ---
+const ALARM_NAMES = {
+    PERFORM_ACTION: 'performActionAlarm',
+    BATCH_PAUSE: 'batchPauseAlarm',
+    FOLLOW_BACK_CHECK: 'followBackCheckAlarm', // Periodic check of our followers list
+    SCHEDULE: 'scheduleAlarm', // Next start or end of a working-hours window
+    DAILY_RESET: 'dailyResetAlarm' // Legacy: the daily budget is now computed from the ledger; cleared at startup
+};
+
+// --- Notification Events ---
+// Desktop notifications; each event is shown only while its setting is on
+const NOTIFICATION_EVENTS = {
+    sessionCompleted: { setting: 'notifySessionCompleted', title: 'Session completed' },
+    dailyLimit: { setting: 'notifyDailyLimit', title: 'Daily limit reached' },
+    actionBlocked: { setting: 'notifyActionBlocked', title: 'Action blocked' },
+    connectionLost: { setting: 'notifyConnectionLost', title: 'Automation stopped' },
+    batchPause: { setting: 'notifyBatchPause', title: 'Batch pause' }
+};
+const NOTIFICATION_ID_PREFIX = 'instagramAutomation'; // Notification ids: prefix:event:tabId:time
+
+// --- Helper Functions ---
+
+/
+ * Generates a random integer between min and max (inclusive).
+ */
+function getRandomInt(min, max) {
+    min = Math.ceil(min);
+    max = Math.floor(max);
+    return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+/
+ * Gets the automation status object.
+ */
+function getStatus() {
+    return {
+        isActive: isActive,
+        actionType: actionType,
+        currentTabId: currentTabId,
+        settings: settings,
+        processedToday: processedToday,
+        budget: budgetInfo,
+        sessionProcessedCount: sessionProcessedCount,
+        currentTargetCount: currentTargets.length,
+        currentIndex: currentIndex,
+        isPausedForBatch: isPausedForBatch,
+        notice: statusNotice,
+        lastSessionEnd: lastSessionEnd,
+        listRun: listRun ? { total: listRun.usernames.length, position: listRun.position, results: listRun.results } : null,
+        campaign: campaign ? {
+            index: campaign.index,
+            sources: campaign.sources.map((source, i) => ({ label: source.label, ...campaign.progress[i] }))
+        } : null,
+        cooldown: getCooldownStatus(),
+        schedule: getScheduleStatus(),
+        statusText: isActive ?
+                    (isPausedForBatch ? `Paused for batch break (${sessionProcessedCount}/${settings.actionsPerBatch}). Next action in progress...` : `Running (${sessionProcessedCount}/${settings.actionsPerBatch} in batch), ${processedToday}/${getEffectiveDailyLimit()} today.`)
+                    : (statusNotice || 'Idle')
+    };
+}
+
+/
+ * Sends the current status to the popup UI.
+ */
+function sendStatusToPopup() {
+    chrome.runtime.sendMessage({ type: 'statusUpdate', payload: getStatus() }).catch(e => {
+        // Ignore errors if popup is not open
+        if (!e.message.includes('disconnect') && !e.message.includes('unregistered extension')) {
+             console.error("Error sending status to popup:", e);
+        }
+    });
+}
+
+/
+ * Loads settings and state from storage. Initializes with defaults if not found.
+ */
+async function loadSettingsAndState() {
+    try {
+        const data = await chrome.storage.local.get([STORAGE_KEYS.SETTINGS, STORAGE_KEYS.STATE, STORAGE_KEYS.COOLDOWN]);
+        const migration = migrateSettings(data[STORAGE_KEYS.SETTINGS]);
+        settings = migration.settings;
+        if (migration.repaired.length > 0) {
+            console.warn("Invalid stored settings reset to defaults:", migration.repaired.join(', '));
+        }
+        if (migration.changed) {
+            // Store the upgraded/repaired copy so the migration runs only once
+            await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: { version: SETTINGS_VERSION, values: settings } });
+        }
+        cooldownState = { blockEvents: [], lockedUntil: 0, overrides: [], ...(data[STORAGE_KEYS.COOLDOWN] || {}) };
+
+        // The daily count is derived from the ledger, so it can never drift or reset early
+        await refreshDailyBudget();
+
+        console.log("Settings loaded:", settings);
+        console.log("State loaded (processedToday):", processedToday);
+
+    } catch (error) {
+        console.error("Error loading settings or state:", error);
+        settings = { ...DEFAULT_SETTINGS }; // Fallback to defaults
+        // Attempt to save defaults if loading failed
+        await saveSettings(DEFAULT_SETTINGS).catch(e => console.error("Failed to save default settings:", e));
+    }
+     sendStatusToPopup(); // Send initial status after loading
+}
+
+/
+ * Saves settings to storage.
+ * Nothing is saved unless the merged settings pass the schema check.
+ * @param {object} newSettings - The settings object to save.
+ * @throws {Error} - With fieldErrors (messages keyed by setting name) when validation fails.
+ */
+async function saveSettings(newSettings) {
+    const check = checkSettings({ ...settings, ...newSettings });
+    if (!check.valid) {
+        const error = new Error(`Invalid settings: ${Object.values(check.errors).join('; ')}`);
+        error.fieldErrors = check.errors;
+        throw error;
+    }
+    settings = check.settings;
+    try {
+        await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: { version: SETTINGS_VERSION, values: settings } });
+        console.log("Settings saved:", settings);
+        await refreshDailyBudget(); // The budget window or limit may have changed
+        await scheduleFollowBackCheck();
+        await syncActivePreset();
+        // Also starts a window in progress when the schedule was just switched on or edited. Awaited, so a
+        // manual start right after saving finds the scheduled session instead of racing it.
+        await checkSchedule();
+        sendStatusToPopup(); // Update popup after saving
+    } catch (error) {
+        console.error("Error saving settings:", error);
+    }
+}
+
+/
+ * Saves state (like daily count) to storage.
+ * @param {object} newState - The state object to save.
+ */
+async function saveState(newState) {
+     try {
+        const currentState = await chrome.storage.local.get(STORAGE_KEYS.STATE);
+        const stateToSave = { ...(currentState[STORAGE_KEYS.STATE] || {}), ...newState };
+        await chrome.storage.local.set({ [STORAGE_KEYS.STATE]: stateToSave });
+        // console.log("State saved:", stateToSave); // Log frequently, maybe too noisy
+     } catch (error) {
+         console.error("Error saving state:", error);
+     }
+}
+
+// --- Settings Presets ---
+
+/**
+ * Copies the settings a preset holds (everything except PRESET_EXCLUDED_KEYS).
+ * @param {object} source - A settings object.
+ * @returns {object}
+ */
+function pickPresetSettings(source) {
+    const picked = {};
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+        if (!PRESET_EXCLUDED_KEYS.includes(key) && source[key] !== undefined) {
+            picked[key] = source[key];
+        }
+    });
+    return picked;
+}
+
+/**
+ * Validates the settings of an imported preset against the settings schema.
+ * A preset may leave settings out; those keep their current value when it is activated.
+ * @param {object} candidate
+ * @returns {string[]} - Human-readable problems; empty if the settings are valid.
+ */
+function validatePresetSettings(candidate) {
+    const errors = Object.values(checkSettings(candidate, { partial: true }).errors);
+    Object.keys(candidate || {}).forEach(key => {
+        if (PRESET_EXCLUDED_KEYS.includes(key)) {
+            errors.push(`Setting "${key}" can't be part of a preset`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Validates an exported presets file.
+ * @param {object} file
+ * @returns {string[]} - Human-readable problems; empty if the file is valid.
+ */
+function validatePresetsFile(file) {
+    if (!file || typeof file !== 'object' || file.format !== PRESETS_FILE_FORMAT) {
+        return ['Not a presets file'];
+    }
+    if (file.version !== PRESETS_FILE_VERSION) {
+        return [`Unsupported presets file version ${file.version}`];
+    }
+    if (!Array.isArray(file.presets) || file.presets.length === 0) {
+        return ['"presets" must be a non-empty array'];
+    }
+    const errors = [];
+    file.presets.forEach((preset, index) => {
+        const prefix = `Preset ${index + 1}`;
+        if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) {
+            errors.push(`${prefix}: "name" must be a non-empty string`);
+        }
+        validatePresetSettings(preset && preset.settings).forEach(error => errors.push(`${prefix}: ${error}`));
+    });
+    return errors;
+}
+
+/**
+ * Loads the presets and the ID of the active one.
+ * @returns {Promise<{presets: object[], activeId: string|null}>}
+ */
+async function loadPresets() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.PRESETS);
+    return { presets: [], activeId: null, ...(data[STORAGE_KEYS.PRESETS] || {}) };
+}
+
+/**
+ * Saves the presets and returns the summary sent to the popup.
+ * @param {{presets: object[], activeId: string|null}} state
+ * @returns {Promise<{presets: {id: string, name: string, updatedAt: number}[], activeId: string|null}>}
+ */
+async function savePresets(state) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.PRESETS]: state });
+    return summarizePresets(state);
+}
+
+/**
+ * Reduces the presets to what the popup lists.
+ * @param {{presets: object[], activeId: string|null}} state
+ * @returns {object}
+ */
+function summarizePresets(state) {
+    return {
+        presets: state.presets.map(preset => ({ id: preset.id, name: preset.name, updatedAt: preset.updatedAt })),
+        activeId: state.activeId
+    };
+}
+
+/**
+ * Makes a preset name unique among the existing presets by appending a number.
+ * @param {object[]} presets
+ * @param {string} name
+ * @returns {string}
+ */
+function getUniquePresetName(presets, name) {
+    const base = name.trim().slice(0, 60) || 'Preset';
+    const taken = new Set(presets.map(preset => preset.name.toLowerCase()));
+    let unique = base;
+    for (let n = 2; taken.has(unique.toLowerCase()); n++) {
+        unique = `${base} (${n})`;
+    }
+    return unique;
+}
+
+/**
+ * Finds a preset by ID.
+ * @param {{presets: object[]}} state
+ * @param {string} id
+ * @returns {object}
+ */
+function getPreset(state, id) {
+    const preset = state.presets.find(candidate => candidate.id === id);
+    if (!preset) {
+        throw new Error('Preset not found');
+    }
+    return preset;
+}
+
+/**
+ * Adds a preset to the list.
+ * @param {{presets: object[]}} state
+ * @param {string} name
+ * @param {object} presetSettings
+ * @returns {object} - The new preset.
+ */
+function addPreset(state, name, presetSettings) {
+    const preset = {
+        id: `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name: getUniquePresetName(state.presets, name),
+        settings: pickPresetSettings(presetSettings),
+        updatedAt: Date.now()
+    };
+    state.presets.push(preset);
+    return preset;
+}
+
+/**
+ * Saves the current settings as a new preset and makes it the active one.
+ * @param {string} name
+ * @returns {Promise<object>} - The presets summary.
+ */
+async function createPreset(name) {
+    const state = await loadPresets();
+    state.activeId = addPreset(state, name, settings).id;
+    return savePresets(state);
+}
+
+/**
+ * Renames a preset.
+ * @param {string} id
+ * @param {string} name
+ * @returns {Promise<object>} - The presets summary.
+ */
+async function renamePreset(id, name) {
+    const state = await loadPresets();
+    const preset = getPreset(state, id);
+    preset.name = getUniquePresetName(state.presets.filter(other => other !== preset), name);
+    preset.updatedAt = Date.now();
+    return savePresets(state);
+}
+
+/**
+ * Copies a preset under a new name. The copy isn't activated.
+ * @param {string} id
+ * @returns {Promise<object>} - The presets summary.
+ */
+async function duplicatePreset(id) {
+    const state = await loadPresets();
+    const preset = getPreset(state, id);
+    addPreset(state, `${preset.name} copy`, preset.settings);
+    return savePresets(state);
+}
+
+/**
+ * Deletes a preset. Deleting the active one leaves the current settings in place, without an active preset.
+ * @param {string} id
+ * @returns {Promise<object>} - The presets summary.
+ */
+async function deletePreset(id) {
+    const state = await loadPresets();
+    getPreset(state, id);
+    state.presets = state.presets.filter(preset => preset.id !== id);
+    if (state.activeId === id) {
+        state.activeId = null;
+    }
+    return savePresets(state);
+}
+
+/**
+ * Makes a preset the active one and applies its settings. Settings missing from the preset
+ * (e.g. ones added in a later version) keep their current values.
+ * @param {string} id
+ * @returns {Promise<object>} - The presets summary.
+ */
+async function activatePreset(id) {
+    const state = await loadPresets();
+    const preset = getPreset(state, id);
+    // Check before switching, so a preset that doesn't fit the current settings leaves the active one alone
+    const check = checkSettings({ ...settings, ...pickPresetSettings(preset.settings) });
+    if (!check.valid) {
+        throw new Error(`Preset "${preset.name}" can't be applied: ${Object.values(check.errors).join('; ')}`);
+    }
+    state.activeId = id;
+    await chrome.storage.local.set({ [STORAGE_KEYS.PRESETS]: state });
+    await saveSettings(pickPresetSettings(preset.settings));
+    console.log(`Preset "${preset.name}" activated.`);
+    return summarizePresets(await loadPresets());
+}
+
+/**
+ * Keeps the active preset in step with the settings: editing settings edits the active preset.
+ */
+async function syncActivePreset() {
+    const state = await loadPresets();
+    const preset = state.activeId && state.presets.find(candidate => candidate.id === state.activeId);
+    if (!preset) return;
+    preset.settings = pickPresetSettings(settings);
+    preset.updatedAt = Date.now();
+    await chrome.storage.local.set({ [STORAGE_KEYS.PRESETS]: state });
+}
+
+/**
+ * Builds an export file holding one preset, or all of them.
+ * @param {string|null} [id] - The preset to export; omit for all presets.
+ * @returns {Promise<object>}
+ */
+async function exportPresets(id = null) {
+    const state = await loadPresets();
+    const presets = id ? [getPreset(state, id)] : state.presets;
+    return {
+        format: PRESETS_FILE_FORMAT,
+        version: PRESETS_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        presets: presets.map(preset => ({ name: preset.name, settings: preset.settings }))
+    };
+}
+
+/**
+ * Adds the presets of an export file. Imported presets are never activated automatically.
+ * @param {object} file
+ * @returns {Promise<object>} - The presets summary.
+ */
+async function importPresets(file) {
+    const errors = validatePresetsFile(file);
+    if (errors.length > 0) {
+        throw new Error(`Invalid presets file: ${errors.join('; ')}`);
+    }
+    const state = await loadPresets();
+    file.presets.forEach(preset => addPreset(state, preset.name, preset.settings));
+    console.log(`Imported ${file.presets.length} preset(s).`);
+    return savePresets(state);
+}
+
+/**
+ * Persists the running session so a restarted service worker can pick it up.
+ * Called whenever the session state changes (start, schedule, pause, stop).
+ */
+async function persistSession() {
+    const session = {
+        isActive: isActive,
+        isPausedForBatch: isPausedForBatch,
+        currentTabId: currentTabId,
+        actionType: actionType,
+        sessionProcessedCount: sessionProcessedCount,
+        currentIndex: currentIndex,
+        approvedUsernames: approvedUsernames,
+        listRun: listRun,
+        campaign: campaign,
+        startedAt: sessionStartedAt,
+        scheduledUntil: scheduledUntil,
+        lastEnd: lastSessionEnd,
+        updatedAt: Date.now()
+    };
+    try {
+        await chrome.storage.local.set({ [STORAGE_KEYS.SESSION]: session });
+    } catch (error) {
+        console.error("Error saving session:", error);
+    }
+}
+
+/**
+ * Rehydrates a session persisted by a previous service worker instance.
+ * Chrome suspends the worker while idle (e.g. during a batch pause); when an alarm or
+ * message wakes it up, this restores the session and makes sure it can continue.
+ * If it can't (the tab is gone, the browser was restarted), the session is ended with a reason.
+ */
+async function restoreSession() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.SESSION);
+    const saved = data[STORAGE_KEYS.SESSION];
+    if (!saved) return;
+
+    lastSessionEnd = saved.lastEnd || null;
+    if (!saved.isActive && !saved.isPausedForBatch) return;
+
+    isActive = !!saved.isActive;
+    isPausedForBatch = !!saved.isPausedForBatch;
+    currentTabId = saved.currentTabId;
+    actionType = saved.actionType;
+    sessionProcessedCount = saved.sessionProcessedCount || 0;
+    currentIndex = saved.currentIndex || 0;
+    approvedUsernames = saved.approvedUsernames || null;
+    listRun = saved.listRun || null;
+    campaign = saved.campaign || null;
+    sessionStartedAt = saved.startedAt || null;
+    scheduledUntil = saved.scheduledUntil || null;
+    console.log(`Restoring ${actionType} session on tab ${currentTabId} (${isPausedForBatch ? 'paused for batch' : 'running'}).`);
+
+    const tab = currentTabId !== null ? await chrome.tabs.get(currentTabId).catch(() => null) : null;
+    if (!tab || !tab.url || !tab.url.includes('instagram.com')) {
+        stopForLostConnection('The Instagram tab was closed or left while the extension was suspended.');
+        return;
+    }
+
+    if (isPausedForBatch) {
+        // The batch pause alarm normally survives; if it was lost, resume shortly
+        if (!await chrome.alarms.get(ALARM_NAMES.BATCH_PAUSE)) {
+            console.warn("Batch pause alarm missing after restart. Resuming shortly.");
+            chrome.alarms.create(ALARM_NAMES.BATCH_PAUSE, { when: Date.now() + 1000 });
+        }
+        return;
+    }
+
+    if (listRun) {
+        // List runs reload the tab for every profile; there is no content script state to restore
+        if (!await chrome.alarms.get(ALARM_NAMES.PERFORM_ACTION)) {
+            scheduleNextAction(1000);
+        }
+        sendStatusToPopup();
+        return;
+    }
+
+    // The page may have been reloaded meanwhile; make sure the content script is there and running
+    const scriptInjected = await injectContentScript(currentTabId).catch(() => false);
+    if (!scriptInjected) {
+        stopForLostConnection('The content script could not be reached after the extension was suspended.');
+        return;
+    }
+    const csStatus = await chrome.tabs.sendMessage(currentTabId, { command: 'getStatus' }).catch(() => null);
+    if (!csStatus || csStatus.status !== 'running') {
+        const runOptions = await buildRunOptions(actionType);
+        await chrome.tabs.sendMessage(currentTabId, { command: 'startAutomation', actionType: actionType, options: runOptions })
+            .catch(error => console.error("Error restarting content script after worker restart:", error));
+    }
+    if (!await chrome.alarms.get(ALARM_NAMES.PERFORM_ACTION)) {
+        scheduleNextAction(1000);
+    }
+    sendStatusToPopup();
+}
+
+/**
+ * Gets the offset of a time zone from UTC at a given instant.
+ * @param {number} timestamp
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {number} - Offset in milliseconds (positive east of UTC).
+ */
+function getTimeZoneOffsetMs(timestamp, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(timestamp));
+    const get = type => Number(parts.find(part => part.type === type).value);
+    const wallClockAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return wallClockAsUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Gets the start of the calendar day containing a timestamp.
+ * @param {number} timestamp
+ * @param {string} [timeZone] - IANA time zone; empty or invalid means browser local time.
+ * @returns {number}
+ */
+function getCalendarDayStart(timestamp, timeZone) {
+    if (timeZone) {
+        try {
+            const dayMs = 24 * 60 * 60 * 1000;
+            const wallClock = timestamp + getTimeZoneOffsetMs(timestamp, timeZone);
+            const wallClockMidnight = wallClock - (((wallClock % dayMs) + dayMs) % dayMs);
+            // Use the offset in force at midnight itself (DST changes during the day)
+            const approxStart = wallClockMidnight - getTimeZoneOffsetMs(timestamp, timeZone);
+            return wallClockMidnight - getTimeZoneOffsetMs(approxStart, timeZone);
+        } catch (error) {
+            console.warn(`Invalid budget time zone "${timeZone}", using local time.`);
+        }
+    }
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+/**
+ * Recomputes the daily budget from completed actions in the ledger.
+ * 'calendarDay' counts actions since midnight in the configured time zone;
+ * 'rolling24h' counts actions in the last 24 hours. The hourly caps always use the last hour.
+ * Updates processedToday, processedByType, hourlyCompletions and budgetInfo.
+ */
+async function refreshDailyBudget() {
+    const now = Date.now();
+    const dayMs = 24 * 60 * 60 * 1000;
+    const rolling = settings.budgetWindow === 'rolling24h';
+    const windowStart = rolling ? now - dayMs : getCalendarDayStart(now, settings.budgetTimeZone);
+
+    // Shortly after midnight the last hour reaches back into the previous day
+    const entries = await queryLedger({ from: Math.min(windowStart, now - HOUR_MS), to: now, outcome: LEDGER_OUTCOMES.COMPLETED });
+    const completed = entries.filter(entry => entry.timestamp >= windowStart);
+    const limit = getEffectiveDailyLimit();
+    processedToday = completed.length;
+    ['follow', 'unfollow'].forEach(type => {
+        processedByType[type] = completed.filter(entry => entry.actionType === type).length;
+        hourlyCompletions[type] = entries
+            .filter(entry => entry.actionType === type && entry.timestamp > now - HOUR_MS)
+            .map(entry => entry.timestamp)
+            .reverse();
+    });
+
+    // When does the next slot free up?
+    let nextFreeAt;
+    if (rolling) {
+        // Entries are newest first; the oldest one in the window expires first. Once over
+        // the limit, a slot only frees when enough entries have expired to fall below it.
+        const oldestFirst = completed.map(entry => entry.timestamp).reverse();
+        const index = Math.max(0, processedToday - limit);
+        nextFreeAt = oldestFirst.length > 0 ? oldestFirst[index] + dayMs : null;
+    } else {
+        nextFreeAt = getCalendarDayStart(windowStart + dayMs + 60 * 60 * 1000, settings.budgetTimeZone);
+    }
+
+    budgetInfo = describeBudget({
+        window: rolling ? 'rolling24h' : 'calendarDay',
+        windowStart: windowStart,
+        nextFreeAt: nextFreeAt
+    });
+}
+
+/**
+ * Builds the budget summary sent to the popup from the current counts.
+ * @param {{window: string, windowStart: number, nextFreeAt: number|null}} base - The daily window.
+ * @returns {object}
+ */
+function describeBudget(base) {
+    const limit = getEffectiveDailyLimit();
+    const byType = {};
+    ['follow', 'unfollow'].forEach(type => {
+        const typeLimit = getEffectiveTypeLimit(type);
+        const hourlyLimit = getEffectiveHourlyLimit(type);
+        const hourlyUsed = getHourlyCompletions(type).length;
+        byType[type] = {
+            used: processedByType[type],
+            limit: typeLimit, // 0 = no separate limit
+            remaining: typeLimit ? Math.max(0, typeLimit - processedByType[type]) : null,
+            hourlyUsed: hourlyUsed,
+            hourlyLimit: hourlyLimit, // 0 = no hourly cap
+            hourlyRemaining: hourlyLimit ? Math.max(0, hourlyLimit - hourlyUsed) : null,
+            hourlyFreeAt: getHourlyFreeAt(type)
+        };
+    });
+    return {
+        ...base,
+        used: processedToday,
+        limit: limit,
+        remaining: Math.max(0, limit - processedToday),
+        byType: byType
+    };
+}
+
+/**
+ * Gets the completions of an action type within the last hour, oldest first.
+ * @param {'follow'|'unfollow'} type
+ * @returns {number[]}
+ */
+function getHourlyCompletions(type) {
+    const hourAgo = Date.now() - HOUR_MS;
+    return (hourlyCompletions[type] || []).filter(timestamp => timestamp > hourAgo);
+}
+
+/**
+ * Gets when the hourly cap of an action type lets the next action through.
+ * @param {'follow'|'unfollow'} type
+ * @returns {number|null} - A timestamp, or null if an action may happen now.
+ */
+function getHourlyFreeAt(type) {
+    const cap = getEffectiveHourlyLimit(type);
+    const recent = getHourlyCompletions(type);
+    if (!cap || recent.length < cap) return null;
+    return recent[recent.length - cap] + HOUR_MS;
+}
+
+/**
+ * Gets why the daily budget rules out further actions of a type, if it does.
+ * @param {'follow'|'unfollow'|null} type - Omit to check the combined cap only.
+ * @returns {{message: string, combined: boolean}|null}
+ */
+function getDailyLimitReached(type) {
+    const limit = getEffectiveDailyLimit();
+    if (processedToday >= limit) {
+        return { message: `Daily limit (${limit}) reached.`, combined: true };
+    }
+    const typeLimit = type ? getEffectiveTypeLimit(type) : 0;
+    if (typeLimit && processedByType[type] >= typeLimit) {
+        return { message: `Daily ${type} limit (${typeLimit}) reached.`, combined: false };
+    }
+    return null;
+}
+
+/**
+ * Enforces the budgets before the session's next action. A spent combined cap ends the
+ * session; a spent per-type limit ends the current campaign source (or the session); a
+ * full hourly cap postpones the next action until a slot frees up, unless a batch pause is due.
+ * @returns {boolean} - True if the next action (or the batch pause) may go ahead as usual.
+ */
+function enforceBudget() {
+    const reached = getDailyLimitReached(actionType);
+    if (reached) {
+        console.warn(`${reached.message} Stopping.`);
+        notify('dailyLimit', reached.message);
+        if (campaign && !reached.combined) {
+            finishSource(reached.message); // Sources of the other action type may still run
+        } else {
+            stopAutomation(reached.message);
+        }
+        return false;
+    }
+
+    // A full batch pauses first; the hourly cap is checked again on the first turn after the pause
+    const freeAt = sessionProcessedCount < settings.actionsPerBatch ? getHourlyFreeAt(actionType) : null;
+    if (freeAt) {
+        console.log(`Hourly ${actionType} cap reached. Waiting until ${new Date(freeAt).toLocaleTimeString()}.`);
+        scheduleNextAction(Math.max(freeAt - Date.now(), settings.intervalMin * 1000));
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Gets the blocks recorded within the repeat window.
+ * @param {number} [now=Date.now()]
+ * @returns {object[]}
+ */
+function getRecentBlocks(now = Date.now()) {
+    const windowStart = now - settings.blockRepeatWindowDays * 24 * 60 * 60 * 1000;
+    return cooldownState.blockEvents.filter(event => event.timestamp >= windowStart);
+}
+
+/**
+ * Applies the post-block reduction to a limit. For a few days after an action block
+ * every limit is reduced by blockLimitReductionPercent.
+ * @param {number} limit - A configured limit; 0 (no limit) stays 0.
+ * @returns {number}
+ */
+function applyBlockReduction(limit) {
+    const lastBlock = cooldownState.blockEvents[cooldownState.blockEvents.length - 1];
+    const reductionEnds = lastBlock ? lastBlock.timestamp + settings.blockLimitReductionDays * 24 * 60 * 60 * 1000 : 0;
+    if (limit && Date.now() < reductionEnds) {
+        return Math.max(1, Math.floor(limit * (100 - settings.blockLimitReductionPercent) / 100));
+    }
+    return limit;
+}
+
+/**
+ * Gets the combined daily limit currently in force.
+ * @returns {number}
+ */
+function getEffectiveDailyLimit() {
+    return applyBlockReduction(settings.dailyLimit);
+}
+
+/**
+ * Gets the daily limit of one action type currently in force.
+ * @param {'follow'|'unfollow'} type
+ * @returns {number} - 0 if only the combined cap applies.
+ */
+function getEffectiveTypeLimit(type) {
+    return applyBlockReduction((type === 'follow' ? settings.dailyFollowLimit : settings.dailyUnfollowLimit) || 0);
+}
+
+/**
+ * Gets the hourly cap of one action type currently in force.
+ * @param {'follow'|'unfollow'} type
+ * @returns {number} - 0 if there is no hourly cap.
+ */
+function getEffectiveHourlyLimit(type) {
+    return applyBlockReduction((type === 'follow' ? settings.hourlyFollowLimit : settings.hourlyUnfollowLimit) || 0);
+}
+
+/**
+ * Summarizes the lockout for the popup.
+ * @returns {object}
+ */
+function getCooldownStatus() {
+    const now = Date.now();
+    const lastOverride = cooldownState.overrides[cooldownState.overrides.length - 1];
+    return {
+        isLocked: now < cooldownState.lockedUntil,
+        lockedUntil: cooldownState.lockedUntil,
+        recentBlockCount: getRecentBlocks(now).length,
+        effectiveDailyLimit: getEffectiveDailyLimit(),
+        lastOverrideAt: lastOverride ? lastOverride.timestamp : null
+    };
+}
+
+/**
+ * Records an action-block event and locks automation for a cooldown that grows
+ * with every block inside the repeat window.
+ * @param {object} request - The 'actionBlocked' message from the content script.
+ * @param {object} sender - The message sender (used for the page URL).
+ */
+async function recordBlockEvent(request, sender) {
+    const now = Date.now();
+    cooldownState.blockEvents.push({
+        timestamp: now,
+        username: request.username || null,
+        pageUrl: sender.url || (sender.tab && sender.tab.url) || null
+    });
+
+    const repeatCount = getRecentBlocks(now).length;
+    const cooldownMs = Math.min(
+        settings.blockCooldownHours * 60 * 60 * 1000 * Math.pow(settings.blockCooldownMultiplier, repeatCount - 1),
+        MAX_BLOCK_COOLDOWN_MS
+    );
+    cooldownState.lockedUntil = Math.max(cooldownState.lockedUntil, now + cooldownMs);
+
+    console.error(`Action block #${repeatCount} within ${settings.blockRepeatWindowDays} days. Locked until ${new Date(cooldownState.lockedUntil).toLocaleString()}.`);
+    try {
+        await chrome.storage.local.set({ [STORAGE_KEYS.COOLDOWN]: cooldownState });
+    } catch (error) {
+        console.error("Error saving cooldown state:", error);
+    }
+    sendStatusToPopup();
+}
+
+/**
+ * Lifts an active lockout on explicit user request. The override is kept in the
+ * cooldown history so it can be audited later.
+ */
+async function overrideCooldown() {
+    const now = Date.now();
+    if (now >= cooldownState.lockedUntil) {
+        return;
+    }
+    console.warn(`Cooldown override requested. Lockout until ${new Date(cooldownState.lockedUntil).toLocaleString()} lifted.`);
+    cooldownState.overrides.push({ timestamp: now, lockedUntil: cooldownState.lockedUntil });
+    cooldownState.lockedUntil = now;
+    await chrome.storage.local.set({ [STORAGE_KEYS.COOLDOWN]: cooldownState });
+    statusNotice = null;
+    sendStatusToPopup();
+}
+
+/**
+ * Normalizes a username for storage and comparison (lowercase, no leading '@').
+ * @param {string} username
+ * @returns {string}
+ */
+function normalizeUsername(username) {
+    return String(username || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * Loads the protected accounts whitelist from storage.
+ * @returns {Promise<string[]>} - Sorted list of normalized usernames.
+ */
+async function loadProtectedAccounts() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.PROTECTED_ACCOUNTS);
+    return data[STORAGE_KEYS.PROTECTED_ACCOUNTS] || [];
+}
+
+/**
+ * Saves the protected accounts whitelist and pushes it to a running content script.
+ * @param {string[]} usernames - The complete list of protected usernames.
+ * @returns {Promise<string[]>} - The normalized list that was saved.
+ */
+async function saveProtectedAccounts(usernames) {
+    const normalized = [...new Set(usernames.map(normalizeUsername).filter(Boolean))].sort();
+    await chrome.storage.local.set({ [STORAGE_KEYS.PROTECTED_ACCOUNTS]: normalized });
+    console.log(`Protected accounts saved (${normalized.length}).`);
+
+    // Keep an active run in sync so newly protected accounts are excluded immediately
+    if ((isActive || isPausedForBatch) && currentTabId !== null) {
+        chrome.tabs.sendMessage(currentTabId, { command: 'updateProtectedAccounts', protectedAccounts: normalized })
+            .catch(e => console.warn("Error sending protected accounts to content script:", e));
+    }
+    return normalized;
+}
+
+/**
+ * Loads the hand edits of the do-not-follow list.
+ * @returns {Promise<{added: string[], removed: Object<string, number>}>} - Added usernames, and
+ *          usernames removed by hand mapped to when (unfollows before that time are ignored).
+ */
+async function loadDoNotFollowEdits() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.DO_NOT_FOLLOW);
+    return { added: [], removed: {}, ...(data[STORAGE_KEYS.DO_NOT_FOLLOW] || {}) };
+}
+
+/**
+ * Builds the do-not-follow list: accounts unfollowed within doNotFollowDays (from the ledger)
+ * plus accounts added by hand, minus the ones removed by hand.
+ * @returns {Promise<{username: string, source: string, since: number|null}[]>} - Sorted by username;
+ *          source is 'unfollowed' or 'manual'.
+ */
+async function getDoNotFollowList() {
+    const edits = await loadDoNotFollowEdits();
+    const from = settings.doNotFollowDays > 0 ? Date.now() - settings.doNotFollowDays * 24 * 60 * 60 * 1000 : 0;
+    const unfollows = await queryLedger({ from: from, actionType: 'unfollow', outcome: LEDGER_OUTCOMES.COMPLETED });
+
+    const entries = new Map();
+    edits.added.forEach(username => entries.set(username, { username: username, source: 'manual', since: null }));
+    // Newest first, so the first entry per username is the latest unfollow
+    unfollows.forEach(entry => {
+        const username = normalizeUsername(entry.username);
+        if (!username || entries.has(username) || (edits.removed[username] || 0) >= entry.timestamp) return;
+        entries.set(username, { username: username, source: 'unfollowed', since: entry.timestamp });
+    });
+    return [...entries.values()].sort((a, b) => a.username.localeCompare(b.username));
+}
+
+/**
+ * Adds usernames to, or removes one from, the do-not-follow list by hand.
+ * @param {string[]} added - Usernames to add.
+ * @param {string} [removed] - Username to remove (also lifts its past unfollows).
+ * @returns {Promise<object[]>} - The updated list (see getDoNotFollowList).
+ */
+async function editDoNotFollow(added, removed) {
+    const edits = await loadDoNotFollowEdits();
+    const addedSet = new Set([...edits.added, ...added.map(normalizeUsername).filter(Boolean)]);
+    if (removed) {
+        const username = normalizeUsername(removed);
+        addedSet.delete(username);
+        edits.removed[username] = Date.now();
+    }
+    addedSet.forEach(username => delete edits.removed[username]);
+    await chrome.storage.local.set({ [STORAGE_KEYS.DO_NOT_FOLLOW]: { added: [...addedSet].sort(), removed: edits.removed } });
+    return getDoNotFollowList();
+}
+
+/**
+ * Loads a cached username snapshot (followers or following).
+ * @param {string} key - STORAGE_KEYS.FOLLOWERS_SNAPSHOT or STORAGE_KEYS.FOLLOWING_SNAPSHOT.
+ * @returns {Promise<{usernames: string[], timestamp: number, pageUrl: string, expectedCount: number|null,
+ *          complete: boolean}|null>} - complete is true only if the list matched the profile's count
+ *          within SNAPSHOT_COMPLETE_TOLERANCE.
+ */
+async function loadSnapshot(key) {
+    const data = await chrome.storage.local.get(key);
+    return data[key] || null;
+}
+
+/**
+ * Scrolls the user list open in the active Instagram tab to its end and caches every username in it.
+ * @param {string} key - Storage key of the snapshot to refresh.
+ * @param {string} listName - 'followers' or 'following'; the open page must be that list.
+ * @returns {Promise<object>} - The saved snapshot.
+ */
+async function refreshSnapshot(key, listName) {
+    if (isActive || isPausedForBatch) {
+        throw new Error('Stop the running automation first');
+    }
+
+    const tabId = await findInstagramTab();
+    if (!tabId) {
+        throw new Error('No active Instagram tab found');
+    }
+    const tab = await chrome.tabs.get(tabId);
+    if (!new URL(tab.url).pathname.includes(`/${listName}`)) {
+        throw new Error(`Open your ${listName} list on Instagram first`);
+    }
+    return collectSnapshot(tabId, key, listName);
+}
+
+/**
+ * Collects every username of the list open in a tab and saves it as a snapshot.
+ * A list clearly shorter than the count on the owner's profile is refused. If the count
+ * could not be read, the snapshot is saved but not marked complete.
+ * A new followers snapshot also updates the follow-back state of accounts followed by the extension.
+ * @param {number} tabId - Tab showing the list.
+ * @param {string} key - Storage key of the snapshot.
+ * @param {string} listName - 'followers' or 'following'.
+ * @returns {Promise<object>} - The saved snapshot.
+ */
+async function collectSnapshot(tabId, key, listName) {
+    if (!await injectContentScript(tabId)) {
+        throw new Error('Content script could not be injected');
+    }
+
+    console.log(`Collecting ${listName} usernames in tab ${tabId}...`);
+    const response = await chrome.tabs.sendMessage(tabId, { command: 'collectUsernames' });
+    if (!response || response.status !== 'collected') {
+        throw new Error(response && response.error ? response.error : `Could not collect ${listName} list`);
+    }
+    if (response.usernames.length === 0) {
+        // An empty snapshot would make everyone look like a non-follower
+        throw new Error(`The ${listName} list did not load`);
+    }
+
+    const usernames = [...new Set(response.usernames.map(normalizeUsername))];
+    const expectedCount = typeof response.expectedCount === 'number' ? response.expectedCount : null;
+    if (expectedCount !== null && usernames.length < expectedCount * SNAPSHOT_MIN_COVERAGE) {
+        throw new Error(`Only ${usernames.length} of ${expectedCount} ${listName} loaded. ` +
+                        'Keep the Instagram tab visible while the list is collected and try again.');
+    }
+
+    const tab = await chrome.tabs.get(tabId);
+    const snapshot = {
+        usernames: usernames,
+        timestamp: Date.now(),
+        pageUrl: tab.url,
+        expectedCount: expectedCount,
+        complete: expectedCount !== null && usernames.length >= expectedCount - SNAPSHOT_COMPLETE_TOLERANCE
+    };
+    await chrome.storage.local.set({ [key]: snapshot });
+    console.log(`Saved ${listName} snapshot with ${usernames.length} usernames` +
+                (snapshot.complete ? ` (profile count ${expectedCount}).` :
+                 expectedCount !== null ? `, short of the profile count ${expectedCount}; kept as partial.` :
+                 '; the profile count could not be read to verify it.'));
+
+    if (key === STORAGE_KEYS.FOLLOWERS_SNAPSHOT) {
+        const summary = await applyFollowersList(snapshot.usernames, snapshot.timestamp, snapshot.complete);
+        console.log(`Follow-back check: ${summary.followingBack}/${summary.checked} tracked accounts follow back.`);
+    }
+    return snapshot;
+}
+
+/**
+ * Waits until a tab has finished loading.
+ * @param {number} tabId
+ * @param {number} [timeoutMs=30000]
+ * @returns {Promise<void>}
+ */
+function waitForTabComplete(tabId, timeoutMs = 30000) {
+    return new Promise((resolve, reject) => {
+        const listener = (updatedTabId, changeInfo) => {
+            if (updatedTabId === tabId && changeInfo.status === 'complete') {
+                clearTimeout(timeout);
+                chrome.tabs.onUpdated.removeListener(listener);
+                resolve();
+            }
+        };
+        const timeout = setTimeout(() => {
+            chrome.tabs.onUpdated.removeListener(listener);
+            reject(new Error('Tab did not finish loading'));
+        }, timeoutMs);
+        chrome.tabs.onUpdated.addListener(listener);
+    });
+}
+
+/**
+ * Checks which accounts followed by the extension follow back.
+ * Opens our followers list in a new tab, refreshes the followers snapshot from it
+ * (which updates the follow-back state), closes the tab and returns to the previous one.
+ * The tab is opened in the foreground: infinite scroll stalls in hidden tabs.
+ * @returns {Promise<object>} - The saved followers snapshot.
+ */
+async function checkFollowBacks() {
+    if (isActive || isPausedForBatch) {
+        throw new Error('Stop the running automation first');
+    }
+    const ownUsername = normalizeUsername(settings.ownUsername || '');
+    if (!ownUsername) {
+        throw new Error('Set your Instagram username first');
+    }
+
+    const [previousTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    const tab = await chrome.tabs.create({ url: `https://www.instagram.com/${ownUsername}/followers/`, active: true });
+    try {
+        await waitForTabComplete(tab.id);
+        // Give the followers dialog time to render its first rows
+        await new Promise(resolve => setTimeout(resolve, 3000));
+        return await collectSnapshot(tab.id, STORAGE_KEYS.FOLLOWERS_SNAPSHOT, 'followers');
+    } finally {
+        chrome.tabs.remove(tab.id).catch(() => {});
+        if (previousTab) {
+            chrome.tabs.update(previousTab.id, { active: true }).catch(() => {});
+        }
+    }
+}
+
+/**
+ * Creates, updates or removes the periodic follow-back check alarm to match the settings.
+ * An existing alarm with the right period is kept, so worker restarts don't postpone it.
+ */
+async function scheduleFollowBackCheck() {
+    const periodInMinutes = (settings.followBackCheckHours || 0) * 60;
+    if (!periodInMinutes || !settings.ownUsername) {
+        await chrome.alarms.clear(ALARM_NAMES.FOLLOW_BACK_CHECK);
+        return;
+    }
+    const existing = await chrome.alarms.get(ALARM_NAMES.FOLLOW_BACK_CHECK);
+    if (!existing || existing.periodInMinutes !== periodInMinutes) {
+        chrome.alarms.create(ALARM_NAMES.FOLLOW_BACK_CHECK, { periodInMinutes: periodInMinutes });
+        console.log(`Follow-back check scheduled every ${settings.followBackCheckHours} hours.`);
+    }
+}
+
+/**
+ * Gets the accounts due for the 'noFollowBack' unfollow source: followed by the extension
+ * more than unfollowAfterDays ago, not unfollowed since, and not following back as of a
+ * followers check made after those days had passed.
+ * Accounts followed by hand are never tracked and so never returned.
+ * @returns {Promise<string[]>}
+ */
+async function getUnfollowDueUsernames() {
+    const waitMs = settings.unfollowAfterDays * 24 * 60 * 60 * 1000;
+    const records = await getFollowRecords();
+    return records
+        .filter(record => !record.unfollowedAt && !record.followsBack &&
+                          record.lastCheckedAt && record.lastCheckedAt >= record.followedAt + waitMs)
+        .map(record => record.username);
+}
+
+/**
+ * Summarizes follow-back tracking for the popup.
+ * @returns {Promise<object>}
+ */
+async function getFollowBackStats() {
+    const records = (await getFollowRecords()).filter(record => !record.unfollowedAt);
+    const followers = await loadSnapshot(STORAGE_KEYS.FOLLOWERS_SNAPSHOT);
+    return {
+        tracked: records.length,
+        followingBack: records.filter(record => record.followsBack).length,
+        due: (await getUnfollowDueUsernames()).length,
+        lastCheckedAt: followers ? followers.timestamp : null
+    };
+}
+
+/**
+ * Gathers the history shown on the dashboard page: ledger entries, follows made by the
+ * extension and action-block events within a time range.
+ * @param {object} [range]
+ * @param {number} [range.from] - Earliest timestamp (inclusive).
+ * @param {number} [range.to] - Latest timestamp (inclusive).
+ * @returns {Promise<{entries: object[], followRecords: object[], blockEvents: object[]}>}
+ */
+async function getHistory(range = {}) {
+    const from = range.from || 0;
+    const to = range.to || Date.now();
+    const inRange = timestamp => timestamp >= from && timestamp <= to;
+    return {
+        entries: await queryLedger({ from: from, to: to }),
+        followRecords: (await getFollowRecords()).filter(record => inRange(record.followedAt)),
+        blockEvents: cooldownState.blockEvents.filter(event => inRange(event.timestamp))
+    };
+}
+
+/**
+ * Builds a history export file (see HISTORY_EXPORT_COLUMNS in ledger.js), oldest entry first.
+ * @param {object} [query]
+ * @param {number} [query.from] - Earliest timestamp (inclusive).
+ * @param {number} [query.to] - Latest timestamp (inclusive).
+ * @param {string} [query.actionType] - 'follow' or 'unfollow'; all actions if omitted.
+ * @param {'csv'|'json'} [format='csv']
+ * @returns {Promise<{content: string, mimeType: string, count: number}>}
+ */
+async function exportHistory(query = {}, format = 'csv') {
+    const entries = await queryLedger({ from: query.from, to: query.to, actionType: query.actionType || undefined });
+    const rows = entries.reverse().map(toHistoryExportRow);
+    if (format === 'json') {
+        const file = {
+            format: HISTORY_EXPORT_FORMAT,
+            version: HISTORY_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            filter: {
+                from: query.from ? new Date(query.from).toISOString() : null,
+                to: query.to ? new Date(query.to).toISOString() : null,
+                action: query.actionType || null
+            },
+            columns: HISTORY_EXPORT_COLUMNS,
+            rows: rows
+        };
+        return { content: JSON.stringify(file, null, 2), mimeType: 'application/json', count: rows.length };
+    }
+    return { content: formatHistoryCsv(rows), mimeType: 'text/csv', count: rows.length };
+}
+
+/**
+ * Gets the active selector pack.
+ * @returns {Promise<{pack: object, builtIn: boolean}>}
+ */
+async function getSelectorPack() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.SELECTOR_PACK);
+    const imported = data[STORAGE_KEYS.SELECTOR_PACK];
+    return { pack: imported || DEFAULT_SELECTOR_PACK, builtIn: !imported };
+}
+
+/**
+ * Validates and stores an imported selector pack. Content scripts pick it up through storage.
+ * A pack older than the active one is rejected so an outdated file can't silently win.
+ * @param {object} pack - The parsed JSON pack.
+ * @returns {Promise<object>} - The stored pack.
+ */
+async function importSelectorPack(pack) {
+    const errors = validateSelectorPack(pack);
+    if (errors.length > 0) {
+        throw new Error(`Invalid selector pack: ${errors.join('; ')}`);
+    }
+
+    const { pack: active } = await getSelectorPack();
+    if (pack.version < active.version) {
+        throw new Error(`Pack version ${pack.version} is older than the active version ${active.version}`);
+    }
+
+    const stored = {
+        name: pack.name || 'Imported',
+        version: pack.version,
+        roles: pack.roles,
+        importedAt: Date.now()
+    };
+    await chrome.storage.local.set({ [STORAGE_KEYS.SELECTOR_PACK]: stored });
+    console.log(`Selector pack "${stored.name}" v${stored.version} imported.`);
+    return stored;
+}
+
+/**
+ * Asks the content script in the active Instagram tab which selector roles resolve on the open page.
+ * @returns {Promise<object>} - The self-test report.
+ */
+async function runSelectorSelfTest() {
+    const tabId = await findInstagramTab();
+    if (!tabId) {
+        throw new Error('No active Instagram tab found');
+    }
+    if (!await injectContentScript(tabId)) {
+        throw new Error('Content script could not be injected');
+    }
+
+    await loadSettingsAndState();
+    const response = await chrome.tabs.sendMessage(tabId, { command: 'selfTestSelectors', locale: settings.uiLocale });
+    if (!response || response.status !== 'selfTested') {
+        throw new Error('Selector self-test failed');
+    }
+    return { pack: response.pack, locale: response.locale, roles: response.roles };
+}
+
+/**
+ * Summarizes the cached snapshots and the non-follower candidates they produce
+ * (accounts we follow that are not in our followers snapshot and not protected).
+ * @returns {Promise<object>}
+ */
+async function getNonFollowerStats() {
+    const followers = await loadSnapshot(STORAGE_KEYS.FOLLOWERS_SNAPSHOT);
+    const following = await loadSnapshot(STORAGE_KEYS.FOLLOWING_SNAPSHOT);
+    const summarize = snapshot => snapshot ?
+        { count: snapshot.usernames.length, timestamp: snapshot.timestamp, complete: Boolean(snapshot.complete) } : null;
+
+    let candidateCount = null;
+    if (followers && following) {
+        const followerSet = new Set(followers.usernames);
+        const protectedSet = new Set(await loadProtectedAccounts());
+        candidateCount = following.usernames.filter(u => !followerSet.has(u) && !protectedSet.has(u)).length;
+    }
+
+    return {
+        followers: summarize(followers),
+        following: summarize(following),
+        candidateCount: candidateCount
+    };
+}
+
+/**
+ * Dry run: scans and scrolls the list open in the active Instagram tab without clicking anything.
+ * @param {'follow'|'unfollow'} type - The action type to preview.
+ * @returns {Promise<{targets: object[], excluded: object[]}>}
+ */
+async function previewTargets(type) {
+    if (isActive || isPausedForBatch) {
+        throw new Error('Stop the running automation first');
+    }
+    await loadSettingsAndState();
+
+    const tabId = await findInstagramTab();
+    if (!tabId) {
+        throw new Error('No active Instagram tab found');
+    }
+    if (!await injectContentScript(tabId)) {
+        throw new Error('Content script could not be injected');
+    }
+
+    // A preview always covers the whole list, never a previous selection
+    const options = await buildRunOptions(type, null);
+    console.log(`Previewing ${type} targets in tab ${tabId}...`);
+    const response = await chrome.tabs.sendMessage(tabId, {
+        command: 'previewTargets',
+        actionType: type,
+        options: options,
+        maxTargets: Math.min(getEffectiveDailyLimit(), getEffectiveTypeLimit(type) || Infinity) // No point listing more accounts than a day allows
+    });
+    if (!response || response.status !== 'previewed') {
+        throw new Error(response && response.error ? response.error : 'Preview failed');
+    }
+
+    console.log(`Preview found ${response.targets.length} targets, ${response.excluded.length} excluded.`);
+    return { targets: response.targets, excluded: response.excluded };
+}
+
+/**
+ * Builds the options sent to the content script with the 'startAutomation' and 'previewTargets' commands.
+ * @param {'follow'|'unfollow'} type - The action type the options are for.
+ * @param {string[]|null} [approved] - Usernames approved in a preview (defaults to the session's).
+ * @returns {Promise<object>}
+ */
+async function buildRunOptions(type, approved = approvedUsernames) {
+    const options = {
+        protectedAccounts: await loadProtectedAccounts(),
+        approvedUsernames: approved,
+        locale: settings.uiLocale,
+        profileCacheTtlMs: settings.profileCacheHours * 60 * 60 * 1000
+    };
+
+    if (settings.inspectProfiles) {
+        options.metricFilters = {
+            minFollowers: settings.metricMinFollowers,
+            maxFollowers: settings.metricMaxFollowers,
+            maxFollowing: settings.metricMaxFollowing,
+            minPosts: settings.metricMinPosts,
+            maxFollowingRatio: settings.metricMaxFollowingRatio,
+            skipPrivate: settings.metricSkipPrivate,
+            skipEmptyBio: settings.metricSkipEmptyBio
+        };
+    }
+
+    if (type === 'follow') {
+        options.doNotFollow = (await getDoNotFollowList()).map(entry => entry.username);
+        options.rowFilters = {
+            usernameInclude: settings.followFilterUsernameInclude,
+            usernameExclude: settings.followFilterUsernameExclude,
+            fullNameInclude: settings.followFilterFullNameInclude,
+            fullNameExclude: settings.followFilterFullNameExclude,
+            skipVerified: settings.followFilterSkipVerified,
+            skipNoProfilePicture: settings.followFilterSkipNoPicture
+        };
+    }
+    if (type === 'unfollow' && settings.unfollowSource === 'noFollowBack') {
+        // Restrict the run to due accounts (and to the approved ones among them, if any)
+        const due = await getUnfollowDueUsernames();
+        options.approvedUsernames = approved ? approved.filter(username => due.includes(username)) : due;
+    }
+
+    if (type === 'unfollow' && settings.unfollowNonFollowers) {
+        const followers = await loadSnapshot(STORAGE_KEYS.FOLLOWERS_SNAPSHOT);
+        options.nonFollowersOnly = true;
+        options.followers = followers ? followers.usernames : [];
+    }
+    if (type === 'unfollow' && settings.unfollowPrivate) {
+        options.privateFilter = settings.unfollowPrivateMode;
+    }
+    return options;
+}
+
+/**
+ * Records a content script outcome in the persistent action ledger.
+ * @param {string} outcome - One of LEDGER_OUTCOMES.
+ * @param {object} request - The status message sent by the content script.
+ * @param {object} sender - The message sender (used for the page URL).
+ */
+function recordLedgerEntry(outcome, request, sender) {
+    if (listRun && request.username) {
+        listRun.results[normalizeUsername(request.username)] = {
+            outcome: outcome,
+            details: request.details || request.reason || request.type || null
+        };
+    }
+    if (campaign && campaign.progress[campaign.index]) {
+        campaign.progress[campaign.index][outcome]++;
+    }
+    addLedgerEntry({
+        username: request.username,
+        actionType: request.actionType || actionType,
+        timestamp: Date.now(),
+        pageUrl: sender.url || (sender.tab && sender.tab.url),
+        outcome: outcome,
+        relationship: request.relationship,
+        reason: request.reason || request.type,
+        details: request.details
+    }).catch(error => console.error("Error writing ledger entry:", error));
+}
+
+
+/**
+ * Keeps follow-back tracking in sync with a verified follow or unfollow.
+ * @param {object} request - The 'actionCompleted' status message.
+ */
+function recordFollowState(request) {
+    const username = normalizeUsername(request.username || '');
+    if (!username) return;
+    const update = (request.actionType || actionType) === 'follow' ? recordFollow(username) : recordUnfollow(username);
+    update.catch(error => console.error("Error updating follow tracking:", error));
+}
+
+/
+ * Finds the active Instagram tab.
+ * @returns {Promise<number|null>} - Resolves with the tab ID or null if not found.
+ */
+async function findInstagramTab() {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    const instagramTab = tabs.find(tab => tab.url && tab.url.includes('instagram.com'));
+
+    if (instagramTab) {
+        console.log("Found Instagram tab:", instagramTab.id);
+        return instagramTab.id;
+    } else {
+        console.warn("No active Instagram tab found.");
+        return null;
+    }
+}
+
+/
+ * Injects the content script into the specified tab if it's not already there.
+ * @param {number} tabId - The ID of the target tab.
+ * @returns {Promise<boolean>} - Resolves true if successful or already injected, false on failure.
+ */
+async function injectContentScript(tabId) {
+    if (tabId === null) return false;
+
+    try {
+         // Check if content script is already injected by attempting to send a test message
+         // If it fails, inject the script.
+         const response = await chrome.tabs.sendMessage(tabId, { command: 'getStatus' }).catch(() => null);
+
+         if (response && response.status !== undefined) {
+             console.log(`Content script already injected in tab ${tabId}. Status: ${response.status}`);
+             return true; // Content script is responding, assume injected
+         } else {
+             console.log(`Content script not detected in tab ${tabId}. Injecting...`);
+             await chrome.scripting.executeScript({
+                 target: { tabId: tabId },
+                 files: ['selectors.js', 'filter_rules.js', 'content_script.js']
+             });
+             console.log(`Content script injected into tab ${tabId}. Waiting for 'ready' message...`);
+             // Wait for a 'ready' message from the content script before proceeding
+             return new Promise((resolve, reject) => {
+                 const timeout = setTimeout(() => reject('Content script ready timeout'), 10000); // 10 sec timeout
+                 const listener = (message, sender, sendResponse) => {
+                      if (sender.tab && sender.tab.id === tabId && message.status === 'ready') {
+                           console.log("Content script reported ready.");
+                           clearTimeout(timeout);
+                           chrome.runtime.onMessage.removeListener(listener);
+                           resolve(true);
+                      }
+                 };
+                 chrome.runtime.onMessage.addListener(listener);
+             });
+         }
+
+    } catch (error) {
+        console.error(`Failed to inject or communicate with content script in tab ${tabId}:`, error);
+        return false;
+    }
+}
+
+
+// --- Automation Core Logic ---
+
+/**
+ * Gets why no session may start right now (action-block lockout or daily limit), if anything.
+ * @param {'follow'|'unfollow'|null} [type] - Also check this action type's own daily limit.
+ * @returns {string|null} - A notice for the popup, or null if starting is allowed.
+ */
+function getStartRefusal(type = null) {
+    if (Date.now() < cooldownState.lockedUntil) {
+        return `Locked after an action block until ${new Date(cooldownState.lockedUntil).toLocaleString()}.`;
+    }
+    const reached = getDailyLimitReached(type);
+    return reached ? reached.message : null;
+}
+
+/**
+ * Gets why a run of the given kind can't work with the current settings, if anything.
+ * @param {'follow'|'unfollow'} type - The action type of the run.
+ * @param {boolean} isListRun - Whether the run visits a username list instead of an open list.
+ * @returns {Promise<string|null>}
+ */
+async function getSourceRefusal(type, isListRun) {
+    if (isListRun || type !== 'unfollow') return null;
+
+    // Non-follower mode can only tell who follows us from a cached snapshot; a partial one
+    // would make real followers look like non-followers
+    if (settings.unfollowNonFollowers) {
+        const followers = await loadSnapshot(STORAGE_KEYS.FOLLOWERS_SNAPSHOT);
+        if (!followers) {
+            return 'Refresh your followers snapshot before unfollowing non-followers.';
+        }
+        if (!followers.complete) {
+            return 'The followers snapshot is not complete (short of your follower count, or the count could not be read). Refresh it with the list tab visible.';
+        }
+    }
+    if (settings.unfollowSource === 'noFollowBack' && (await getUnfollowDueUsernames()).length === 0) {
+        return `No accounts followed over ${settings.unfollowAfterDays} days ago are waiting for a follow-back.`;
+    }
+    return null;
+}
+
+/
+ * Starts the automation process.
+ * @param {'follow'|'unfollow'} type - The type of action to perform.
+ * @param {string[]|null} [approved] - Usernames approved in a preview; the run acts on these only.
+ * @param {string[]|null} [usernames] - Username-list source: visit and act on these profiles in order
+ *                                       instead of the list open in the tab.
+ */
+async function startAutomation(type, approved = null, usernames = null) {
+    if (isActive) {
+        console.warn("Automation is already active.");
+         sendStatusToPopup();
+        return;
+    }
+
+    await loadSettingsAndState(); // Ensure latest settings and state are loaded
+
+    const refusal = getStartRefusal(type) || await getSourceRefusal(type, Boolean(usernames));
+    if (refusal) {
+         console.warn(`${refusal} Cannot start.`);
+         statusNotice = refusal;
+         sendStatusToPopup(); // Update status to show why
+         return;
+    }
+
+    console.log(`Attempting to start ${type} automation.`);
+    statusNotice = null;
+    campaign = null;
+    scheduledUntil = null;
+    actionType = type;
+    approvedUsernames = approved && approved.length > 0 ? approved.map(normalizeUsername) : null;
+    listRun = usernames && usernames.length > 0 ?
+        { usernames: [...new Set(usernames.map(normalizeUsername).filter(Boolean))], position: 0, results: {} } : null;
+    sessionStartedAt = Date.now();
+    sessionProcessedCount = 0;
+    currentTargets = [];
+    currentIndex = 0;
+    isPausedForBatch = false;
+
+    currentTabId = await findInstagramTab();
+
+    if (!currentTabId) {
+        console.error("Cannot start automation: No active Instagram tab found.");
+        isActive = false;
+        actionType = null;
+        sendStatusToPopup();
+        return;
+    }
+
+    if (listRun) {
+        // Each profile is opened in this tab when its turn comes (see performListAction)
+        isActive = true;
+        console.log(`List automation started with ${listRun.usernames.length} accounts.`);
+        persistSession();
+        scheduleNextAction(1000);
+        return;
+    }
+
+    const scriptInjected = await injectContentScript(currentTabId);
+
+    if (!scriptInjected) {
+        console.error("Failed to inject content script. Cannot start automation.");
+        isActive = false;
+        actionType = null;
+         currentTabId = null;
+        sendStatusToPopup();
+        return;
+    }
+
+    // Start the automation loop by finding targets
+    isActive = true;
+    console.log("Automation started.");
+    persistSession();
+    sendStatusToPopup();
+
+    // Let the content script know to start scanning
+    const runOptions = await buildRunOptions(actionType);
+    chrome.tabs.sendMessage(currentTabId, { command: 'startAutomation', actionType: actionType, options: runOptions })
+        .then(() => {
+             // After content script starts scanning, request it to find targets
+             scheduleNextAction(1000); // Short delay to let content script initialize
+        })
+        .catch(error => {
+            console.error("Error sending start command to content script:", error);
+            stopForLostConnection('The content script did not accept the start command.');
+        });
+}
+
+/
+ * Stops the automation process.
+ * @param {string} [reason] - Why the session ended; omitted when the user stopped it.
+ */
+function stopAutomation(reason) {
+    if (!isActive && !isPausedForBatch) {
+        console.warn("Automation is not currently active or paused.");
+        return;
+    }
+    console.log(`Stopping automation${reason ? `: ${reason}` : '.'}`);
+    lastSessionEnd = {
+        reason: reason || 'Stopped by user.',
+        at: Date.now(),
+        actionType: actionType,
+        processed: sessionProcessedCount
+    };
+    if (reason) {
+        statusNotice = `Session ended: ${reason}`;
+    }
+    if (campaign && campaign.progress[campaign.index] && campaign.progress[campaign.index].status === 'running') {
+        Object.assign(campaign.progress[campaign.index], { status: 'stopped', note: reason || 'Stopped by user.', endedAt: Date.now() });
+    }
+    isActive = false;
+    isPausedForBatch = false;
+    actionType = null;
+    approvedUsernames = null;
+    sessionStartedAt = null;
+    scheduledUntil = null;
+    sessionProcessedCount = 0;
+    currentTargets = [];
+    currentIndex = 0;
+
+    // Clear any scheduled alarms
+    chrome.alarms.clear(ALARM_NAMES.PERFORM_ACTION);
+    chrome.alarms.clear(ALARM_NAMES.BATCH_PAUSE);
+
+    // Notify the content script to stop
+    if (currentTabId !== null) {
+        chrome.tabs.sendMessage(currentTabId, { command: 'stopAutomation' }).catch(e => console.warn("Error notifying content script to stop:", e));
+        currentTabId = null; // Clear tab ID reference on stop
+    }
+
+    persistSession();
+    sendStatusToPopup();
+}
+
+/
+ * Schedules the next action using a random timer.
+ * @param {number} [delayMs] - Optional specific delay in milliseconds. If not provided, uses random interval from settings.
+ */
+function scheduleNextAction(delayMs) {
+    if (!isActive) {
+        console.log("Automation not active, not scheduling next action.");
+        return;
+    }
+
+     // Clear any existing action alarm before setting a new one
+     chrome.alarms.clear(ALARM_NAMES.PERFORM_ACTION);
+
+    const delaySeconds = delayMs !== undefined ? delayMs / 1000 : getRandomInt(settings.intervalMin, settings.intervalMax);
+    const delayMilliseconds = delaySeconds * 1000;
+
+    console.log(`Scheduling next action in ${delaySeconds.toFixed(1)} seconds.`);
+
+    chrome.alarms.create(ALARM_NAMES.PERFORM_ACTION, { delayInMinutes: delayMilliseconds / 60000 });
+     persistSession();
+     sendStatusToPopup(); // Update status to reflect pending action/delay
+}
+
+/
+ * Schedules a long pause between batches.
+ */
+function scheduleBatchPause() {
+    isActive = false; // Temporarily set isActive to false while pausing
+    isPausedForBatch = true;
+    sessionProcessedCount = 0; // Reset session count after batch
+    currentTargets = []; // Clear targets for the next batch
+    currentIndex = 0;
+
+    const pauseSeconds = getRandomInt(settings.pauseBetweenBatchesMin, settings.pauseBetweenBatchesMax);
+    const pauseMilliseconds = pauseSeconds * 1000;
+
+    console.log(`Batch completed. Scheduling long pause of ${pauseSeconds} seconds.`);
+    notify('batchPause', `Batch done. Resuming in about ${Math.round(pauseSeconds / 60)} minutes.`, 'Batch pause started');
+
+    chrome.alarms.clear(ALARM_NAMES.PERFORM_ACTION); // Ensure action alarm is cleared
+    chrome.alarms.create(ALARM_NAMES.BATCH_PAUSE, { delayInMinutes: pauseMilliseconds / 60000 });
+     persistSession();
+     sendStatusToPopup(); // Status will reflect "Paused for batch break"
+}
+
+/
+ * Executes the logic for performing the next action in the automation loop.
+ * Triggered by the 'performActionAlarm'.
+ */
+async function executeNextAction() {
+    if (!isActive) {
+        console.log("Execute next action called but automation is not active.");
+        sendStatusToPopup();
+        return;
+    }
+
+    await loadSettingsAndState(); // Ensure latest state is loaded
+
+    // Re-check the daily limits and hourly caps before performing the action
+    if (!enforceBudget()) {
+        sendStatusToPopup();
+        return;
+    }
+
+     // Check session limit (batch limit)
+     if (sessionProcessedCount >= settings.actionsPerBatch) {
+         console.log(`Batch limit (${settings.actionsPerBatch}) reached.`);
+         scheduleBatchPause();
+         return; // Stop executing actions until batch pause is over
+     }
+
+
+    // Check if the current tab is still valid
+    if (currentTabId === null) {
+        console.warn("Current tab ID is null. Cannot perform action.");
+        stopForLostConnection('The Instagram tab is no longer known.');
+        sendStatusToPopup();
+        return;
+    }
+     const tab = await chrome.tabs.get(currentTabId).catch(() => null);
+     if (!tab || !tab.url || !tab.url.includes('instagram.com')) {
+         console.warn(`Tab ${currentTabId} is no longer valid or not on Instagram. Stopping automation.`);
+         stopForLostConnection('The Instagram tab was closed or left.');
+         sendStatusToPopup();
+         return;
+     }
+
+
+    console.log(`Executing action ${sessionProcessedCount + 1} (daily: ${processedToday + 1})...`);
+
+    if (listRun) {
+        performListAction();
+        sendStatusToPopup();
+        return;
+    }
+
+
+    // Ask content script to perform the next action
+    chrome.tabs.sendMessage(currentTabId, { command: 'performAction' })
+    .catch(error => {
+        console.error(`Error sending 'performAction' command to content script in tab ${currentTabId}:`, error);
+        // If messaging fails, the tab might be gone or content script crashed
+        stopForLostConnection('The content script stopped responding.');
+        sendStatusToPopup();
+    });
+
+    // Content script will handle finding/clicking the actual element
+    // and will report back via `actionCompleted`, `actionFailed`, `actionBlocked`, etc.
+    // The scheduling of the *next* action or batch pause happens after the content script
+    // reports its outcome via message listener.
+
+     sendStatusToPopup(); // Update status immediately before sending the command
+}
+
+
+/**
+ * Username-list source: opens the next listed profile in the automation tab and asks the
+ * content script to act on its button. The outcome comes back as the usual status messages.
+ */
+async function performListAction() {
+    if (listRun.position >= listRun.usernames.length) {
+        finishSource(`All ${listRun.usernames.length} listed accounts processed.`);
+        return;
+    }
+
+    const username = listRun.usernames[listRun.position++];
+    const profileUrl = `https://www.instagram.com/${encodeURIComponent(username)}/`;
+    persistSession();
+    console.log(`Opening profile ${username} (${listRun.position}/${listRun.usernames.length})...`);
+
+    try {
+        await chrome.tabs.update(currentTabId, { url: profileUrl });
+        await waitForTabComplete(currentTabId);
+        // Let the declared content script finish loading before checking for it
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        if (!await injectContentScript(currentTabId)) {
+            throw new Error('Content script could not be injected');
+        }
+
+        // The list itself says whom to act on, so the non-follower source doesn't apply
+        const runOptions = { ...(await buildRunOptions(actionType)), nonFollowersOnly: false };
+        const response = await chrome.tabs.sendMessage(currentTabId, {
+            command: 'performProfileAction',
+            actionType: actionType,
+            username: username,
+            options: runOptions
+        });
+        if (!response || response.status !== 'received_profile_action') {
+            throw new Error(response && response.error ? response.error : 'Profile action not accepted');
+        }
+        listRun.openFailures = 0;
+    } catch (error) {
+        console.error(`Error opening profile ${username}:`, error);
+        // One unreachable profile fails on its own; only a streak means the tab itself is broken
+        recordLedgerEntry(LEDGER_OUTCOMES.FAILED, {
+            username: username,
+            reason: 'profileOpenFailed',
+            details: `Could not open the profile: ${error.message || error}`
+        }, { url: profileUrl });
+        listRun.openFailures = (listRun.openFailures || 0) + 1;
+        if (listRun.openFailures >= MAX_LIST_OPEN_FAILURES) {
+            stopAutomation(`Could not open ${listRun.openFailures} profiles in a row (last @${username}: ${error.message || error})`);
+        } else {
+            scheduleNextAction();
+        }
+        sendStatusToPopup();
+    }
+}
+
+
+// --- Campaigns ---
+
+/**
+ * Validates a campaign source and fills in its action type and label.
+ * @param {object} source - { type, actionType?, username?, usernames? } as sent by the popup.
+ * @returns {object} - The normalized source.
+ */
+function normalizeCampaignSource(source) {
+    if (!source || !Object.prototype.hasOwnProperty.call(CAMPAIGN_SOURCE_TYPES, source.type)) {
+        throw new Error(`Unknown campaign source "${source && source.type}"`);
+    }
+    const type = CAMPAIGN_SOURCE_TYPES[source.type] || source.actionType;
+    if (type !== 'follow' && type !== 'unfollow') {
+        throw new Error('A username list source needs an action type');
+    }
+
+    switch (source.type) {
+        case 'ownFollowing':
+            return { type: source.type, actionType: type, label: 'My Following list (unfollow)' };
+        case 'profileFollowers': {
+            const username = normalizeUsername(source.username || '');
+            if (!username) {
+                throw new Error('A followers source needs a profile username');
+            }
+            return { type: source.type, actionType: type, username: username, label: `@${username}'s followers (follow)` };
+        }
+        default: {
+            const usernames = [...new Set((source.usernames || []).map(normalizeUsername).filter(Boolean))];
+            if (usernames.length === 0) {
+                throw new Error('A username list source needs at least one username');
+            }
+            return { type: source.type, actionType: type, usernames: usernames, label: `List of ${usernames.length} accounts (${type})` };
+        }
+    }
+}
+
+/**
+ * Loads the campaign sources queued in the popup.
+ * @returns {Promise<object[]>}
+ */
+async function loadCampaignSources() {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.CAMPAIGN);
+    return data[STORAGE_KEYS.CAMPAIGN] || [];
+}
+
+/**
+ * Validates and saves the queued campaign sources.
+ * @param {object[]} sources
+ * @returns {Promise<object[]>} - The saved, normalized sources.
+ */
+async function saveCampaignSources(sources) {
+    const normalized = (sources || []).map(normalizeCampaignSource);
+    await chrome.storage.local.set({ [STORAGE_KEYS.CAMPAIGN]: normalized });
+    return normalized;
+}
+
+/**
+ * Starts a campaign: works through the queued sources in order in the active Instagram tab,
+ * moving on whenever a source is exhausted. Batch and daily limits carry over between sources.
+ * @param {object[]|null} [sources] - Normalized sources; defaults to the queued campaign.
+ * @param {number|null} [tabId] - Instagram tab to run in; defaults to the active one.
+ */
+async function startCampaign(sources = null, tabId = null) {
+    if (isActive || isPausedForBatch) {
+        throw new Error('Stop the running automation first');
+    }
+    await loadSettingsAndState();
+
+    sources = sources || await loadCampaignSources();
+    if (sources.length === 0) {
+        throw new Error('Add at least one source to the campaign');
+    }
+    const refusal = getStartRefusal();
+    if (refusal) {
+        statusNotice = refusal;
+        sendStatusToPopup();
+        throw new Error(refusal);
+    }
+    currentTabId = tabId || await findInstagramTab();
+    if (!currentTabId) {
+        throw new Error('No active Instagram tab found');
+    }
+
+    console.log(`Starting campaign with ${sources.length} sources.`);
+    statusNotice = null;
+    scheduledUntil = null;
+    campaign = {
+        sources: sources,
+        index: 0,
+        progress: sources.map(() => ({ status: 'pending', note: null, completed: 0, skipped: 0, failed: 0, blocked: 0 }))
+    };
+    sessionStartedAt = Date.now();
+    sessionProcessedCount = 0;
+    isPausedForBatch = false;
+    isActive = true;
+    // Opening a list can take a while; the popup follows along through status updates
+    runCampaignFrom(0).catch(error => {
+        console.error("Error starting campaign:", error);
+        stopAutomation('The campaign could not be started.');
+    });
+}
+
+/**
+ * Starts the campaign sources from the given index on until one of them gets going.
+ * Sources that can't run are marked skipped; the session ends after the last source.
+ * @param {number} index
+ */
+async function runCampaignFrom(index) {
+    for (campaign.index = index; campaign.index < campaign.sources.length; campaign.index++) {
+        if (await startCampaignSource()) return;
+        if (!isActive) return; // Stopped while the source was being opened
+    }
+    const reason = `Campaign finished: all ${campaign.sources.length} sources processed.`;
+    notify('sessionCompleted', `${reason} ${sessionSummary()}`);
+    stopAutomation(reason);
+}
+
+/**
+ * Opens the current campaign source in the automation tab and starts working on it.
+ * The session's batch count is kept, so a batch can span two sources.
+ * @returns {Promise<boolean>} - False if the source was skipped.
+ */
+async function startCampaignSource() {
+    const source = campaign.sources[campaign.index];
+    const progress = campaign.progress[campaign.index];
+    const skip = note => {
+        console.warn(`Skipping campaign source "${source.label}": ${note}`);
+        Object.assign(progress, { status: 'skipped', note: note, endedAt: Date.now() });
+        return false;
+    };
+
+    chrome.alarms.clear(ALARM_NAMES.PERFORM_ACTION);
+    actionType = source.actionType;
+    approvedUsernames = null;
+    currentTargets = [];
+    currentIndex = 0;
+    listRun = source.type === 'usernameList' ? { usernames: source.usernames, position: 0, results: {} } : null;
+    Object.assign(progress, { status: 'running', startedAt: Date.now() });
+    console.log(`Campaign source ${campaign.index + 1}/${campaign.sources.length}: ${source.label}`);
+    persistSession();
+    sendStatusToPopup();
+
+    const refusal = getStartRefusal(actionType) || await getSourceRefusal(actionType, Boolean(listRun));
+    if (refusal) {
+        return skip(refusal);
+    }
+    if (listRun) {
+        // Each profile is opened when its turn comes (see performListAction)
+        scheduleNextAction(1000);
+        return true;
+    }
+
+    const owner = source.type === 'ownFollowing' ? normalizeUsername(settings.ownUsername || '') : source.username;
+    if (!owner) {
+        return skip('Set your Instagram username first');
+    }
+    const listName = source.type === 'ownFollowing' ? 'following' : 'followers';
+    try {
+        await chrome.tabs.update(currentTabId, { url: `https://www.instagram.com/${encodeURIComponent(owner)}/${listName}/` });
+        await waitForTabComplete(currentTabId);
+        // Give the list dialog time to render its first rows
+        await new Promise(resolve => setTimeout(resolve, 3000));
+        if (!isActive) return true;
+        if (!await injectContentScript(currentTabId)) {
+            throw new Error('Content script could not be injected');
+        }
+        const runOptions = await buildRunOptions(actionType);
+        await chrome.tabs.sendMessage(currentTabId, { command: 'startAutomation', actionType: actionType, options: runOptions });
+    } catch (error) {
+        console.error(`Error opening campaign source "${source.label}":`, error);
+        if (!isActive) return true; // Stopped meanwhile; the source keeps its 'stopped' state
+        return skip(`Could not open the list: ${error.message || error}`);
+    }
+    scheduleNextAction(1000);
+    return true;
+}
+
+/**
+ * Ends the current source once it has no targets left. A campaign moves on to its next
+ * source; any other session ends.
+ * @param {string} reason - Why the source ended.
+ */
+function finishSource(reason) {
+    if (!campaign) {
+        notify('sessionCompleted', `${reason} ${sessionSummary()}`);
+        stopAutomation(reason);
+        return;
+    }
+    console.log(`Campaign source "${campaign.sources[campaign.index].label}" finished: ${reason}`);
+    Object.assign(campaign.progress[campaign.index], { status: 'done', note: reason, endedAt: Date.now() });
+    runCampaignFrom(campaign.index + 1).catch(error => {
+        console.error("Error moving to the next campaign source:", error);
+        stopAutomation('The next campaign source could not be started.');
+    });
+}
+
+
+// --- Working-hours Schedule ---
+
+/**
+ * Parses 'HH:MM' into minutes after midnight.
+ * @param {string} value
+ * @returns {number} - NaN if the time is invalid.
+ */
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value);
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) return NaN;
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return minutes <= 24 * 60 ? minutes : NaN;
+}
+
+/**
+ * Parses the day part of a schedule line: 'daily', 'weekdays', 'weekends', day names
+ * and ranges such as 'Mon-Fri' or 'Sat-Sun', separated by commas or spaces.
+ * @param {string} text
+ * @returns {number[]|null} - Weekday numbers (0 = Sunday), or null if the text is invalid.
+ */
+function parseWeekdays(text) {
+    const days = new Set();
+    const tokens = text.toLowerCase().split(/[\s,]+/).filter(Boolean);
+    for (const token of tokens) {
+        if (token === 'daily') {
+            [0, 1, 2, 3, 4, 5, 6].forEach(day => days.add(day));
+        } else if (token === 'weekdays') {
+            [1, 2, 3, 4, 5].forEach(day => days.add(day));
+        } else if (token === 'weekends') {
+            [0, 6].forEach(day => days.add(day));
+        } else {
+            const [from, to = from] = token.split('-').map(name => WEEKDAY_NAMES.indexOf(name.slice(0, 3)));
+            if (from < 0 || to < 0) return null;
+            for (let day = from; ; day = (day + 1) % 7) {
+                days.add(day);
+                if (day === to) break;
+            }
+        }
+    }
+    return days.size > 0 ? [...days] : null;
+}
+
+/**
+ * Parses the schedule setting, one line per set of days with one or more time ranges:
+ * 'Mon-Fri 09:00-12:00, 18:00-21:00'. A range may not cross midnight.
+ * @param {string} text
+ * @returns {{windows: {days: number[], start: number, end: number}[], invalid: string[]}} - Times in minutes after midnight.
+ */
+function parseScheduleWindows(text) {
+    const windows = [];
+    const invalid = [];
+    String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+        const firstDigit = line.search(/\d/);
+        const days = firstDigit > 0 ? parseWeekdays(line.slice(0, firstDigit)) : null;
+        const rangePattern = /(\d{1,2}:\d{2})\s*[-–]\s*(\d{1,2}:\d{2})/g;
+        const timesText = firstDigit > 0 ? line.slice(firstDigit) : '';
+        const ranges = [...timesText.matchAll(rangePattern)].map(match => ({
+            start: parseTimeOfDay(match[1]),
+            end: parseTimeOfDay(match[2])
+        }));
+        const leftover = timesText.replace(rangePattern, '').replace(/[\s,;]|and/gi, '');
+        if (!days || ranges.length === 0 || leftover || ranges.some(range => !(range.start < range.end))) {
+            invalid.push(line);
+            return;
+        }
+        ranges.forEach(range => windows.push({ days: days, start: range.start, end: range.end }));
+    });
+    return { windows: windows, invalid: invalid };
+}
+
+/**
+ * Gets the weekday (0 = Sunday) of a day start in the schedule's time zone.
+ * @param {number} dayStart - Start of the day, as returned by getCalendarDayStart.
+ * @returns {number}
+ */
+function getWeekday(dayStart) {
+    if (settings.budgetTimeZone) {
+        try {
+            return new Date(dayStart + getTimeZoneOffsetMs(dayStart, settings.budgetTimeZone)).getUTCDay();
+        } catch (error) {
+            // Invalid time zone; getCalendarDayStart fell back to local time as well
+        }
+    }
+    return new Date(dayStart).getDay();
+}
+
+/**
+ * Lists the working-hours windows that haven't ended yet within the next week, earliest first.
+ * Windows use the daily budget's time zone.
+ * @param {number} [now]
+ * @returns {{start: number, end: number}[]}
+ */
+function getUpcomingWindows(now = Date.now()) {
+    if (!settings.scheduleEnabled) return [];
+    const { windows } = parseScheduleWindows(settings.scheduleWindows);
+    const dayMs = 24 * 60 * 60 * 1000;
+    const upcoming = [];
+
+    let dayStart = getCalendarDayStart(now, settings.budgetTimeZone);
+    for (let day = 0; day < 8; day++) {
+        const weekday = getWeekday(dayStart);
+        windows.filter(window => window.days.includes(weekday)).forEach(window => {
+            const end = dayStart + window.end * 60 * 1000;
+            if (end > now) {
+                upcoming.push({ start: dayStart + window.start * 60 * 1000, end: end });
+            }
+        });
+        // An hour past the next midnight is safely inside the next day, even across DST changes
+        dayStart = getCalendarDayStart(dayStart + dayMs + 60 * 60 * 1000, settings.budgetTimeZone);
+    }
+    return upcoming.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Summarizes the schedule for the popup.
+ * @returns {object}
+ */
+function getScheduleStatus() {
+    const next = getUpcomingWindows()[0] || null;
+    return {
+        enabled: !!settings.scheduleEnabled,
+        invalid: parseScheduleWindows(settings.scheduleWindows).invalid,
+        nextWindow: next,
+        activeUntil: scheduledUntil
+    };
+}
+
+/**
+ * Sets the schedule alarm to the next window start or end, or clears it if the schedule is off.
+ * The alarm uses an absolute time, so recreating it after a worker restart doesn't move it.
+ */
+async function scheduleWorkingHours() {
+    const now = Date.now();
+    const boundaries = getUpcomingWindows(now).map(window => window.start > now ? window.start : window.end);
+    if (boundaries.length === 0) {
+        await chrome.alarms.clear(ALARM_NAMES.SCHEDULE);
+        return;
+    }
+    chrome.alarms.create(ALARM_NAMES.SCHEDULE, { when: Math.min(...boundaries) });
+}
+
+/**
+ * Appends an entry to the schedule log.
+ * @param {number} windowStart - Start of the window the entry is about.
+ * @param {'started'|'skipped'|'ended'} event
+ * @param {string} [reason]
+ */
+async function recordScheduleEvent(windowStart, event, reason = null) {
+    const data = await chrome.storage.local.get(STORAGE_KEYS.SCHEDULE_LOG);
+    const log = data[STORAGE_KEYS.SCHEDULE_LOG] || [];
+    log.unshift({ windowStart: windowStart, event: event, reason: reason, at: Date.now() });
+    await chrome.storage.local.set({ [STORAGE_KEYS.SCHEDULE_LOG]: log.slice(0, SCHEDULE_LOG_SIZE) });
+    console.log(`Schedule: window of ${new Date(windowStart).toLocaleString()} ${event}${reason ? ` (${reason})` : ''}.`);
+}
+
+/**
+ * Gets the tab scheduled runs work in: the one opened for an earlier window if it is still on
+ * Instagram, otherwise a new one. The user's own Instagram tabs are never taken over.
+ * The tab is the active tab of its own unfocused browser window, so it stays visible (lists
+ * stop loading in hidden tabs) without taking the focus from what the user is doing.
+ * @returns {Promise<number>} - The tab ID.
+ */
+async function openScheduleTab() {
+    const data = await chrome.storage.session.get(STORAGE_KEYS.SCHEDULE_TAB);
+    const tabId = data[STORAGE_KEYS.SCHEDULE_TAB];
+    const existing = tabId ? await chrome.tabs.get(tabId).catch(() => null) : null;
+    if (existing && existing.url && existing.url.startsWith('https://www.instagram.com/')) {
+        await chrome.tabs.update(existing.id, { active: true });
+        await chrome.windows.update(existing.windowId, { state: 'normal' }); // Undo a minimize
+        return existing.id;
+    }
+
+    const browserWindow = await chrome.windows.create({ url: 'https://www.instagram.com/', focused: false, state: 'normal' });
+    const tab = browserWindow.tabs[0];
+    await chrome.storage.session.set({ [STORAGE_KEYS.SCHEDULE_TAB]: tab.id });
+    await waitForTabComplete(tab.id);
+    return tab.id;
+}
+
+/**
+ * Checks whether the tab's Instagram session is logged in (Instagram sets a readable ds_user_id cookie).
+ * @param {number} tabId
+ * @returns {Promise<boolean>}
+ */
+async function isLoggedIn(tabId) {
+    const [result] = await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        func: () => !location.pathname.startsWith('/accounts/login') &&
+                    document.cookie.split('; ').some(cookie => cookie.startsWith('ds_user_id='))
+    });
+    return Boolean(result && result.result);
+}
+
+/**
+ * Starts the scheduled run for a window, or records why the window is skipped.
+ * @param {{start: number, end: number}} window
+ */
+async function startScheduledRun(window) {
+    await saveState({ lastScheduledWindowStart: window.start }); // Each window starts at most once
+    await loadSettingsAndState();
+
+    const skip = reason => recordScheduleEvent(window.start, 'skipped', reason);
+    if (isActive || isPausedForBatch) {
+        return skip('Another session was already running.');
+    }
+    const refusal = getStartRefusal(); // Cooldown after a block, or daily budget spent
+    if (refusal) {
+        return skip(refusal);
+    }
+
+    const sources = settings.scheduleMode === 'unfollowFollowing' ?
+        [normalizeCampaignSource({ type: 'ownFollowing' })] : await loadCampaignSources();
+    if (sources.length === 0) {
+        return skip('The campaign queue is empty.');
+    }
+
+    try {
+        const tabId = await openScheduleTab();
+        if (!await isLoggedIn(tabId)) {
+            return skip('Not logged in to Instagram.');
+        }
+        if (isActive || isPausedForBatch) {
+            return skip('Another session was started while the window was opening.');
+        }
+        await startCampaign(sources, tabId);
+    } catch (error) {
+        console.error("Error starting scheduled run:", error);
+        return skip(error.message || String(error));
+    }
+    scheduledUntil = window.end;
+    persistSession();
+    await recordScheduleEvent(window.start, 'started');
+}
+
+/**
+ * Applies the schedule now: ends a scheduled session whose window is over and starts the
+ * window in progress if it hasn't been started yet (also after the browser was closed at its start).
+ * Runs on the schedule alarm and when the worker starts.
+ */
+async function checkSchedule() {
+    const now = Date.now();
+    // Alarms may fire a little early or late; treat boundaries within a minute as reached
+    const toleranceMs = 60 * 1000;
+
+    if (scheduledUntil && now >= scheduledUntil - toleranceMs && (isActive || isPausedForBatch)) {
+        const windowEnd = scheduledUntil;
+        stopAutomation('Working hours ended.');
+        await recordScheduleEvent(windowEnd, 'ended');
+    }
+
+    const current = getUpcomingWindows(now).find(window => window.start <= now + toleranceMs && now < window.end - toleranceMs);
+    if (current) {
+        const data = await chrome.storage.local.get(STORAGE_KEYS.STATE);
+        const state = data[STORAGE_KEYS.STATE] || {};
+        if (state.lastScheduledWindowStart !== current.start) {
+            await startScheduledRun(current);
+        }
+    }
+    await scheduleWorkingHours();
+    sendStatusToPopup();
+}
+
+
+// --- Notifications ---
+
+/**
+ * Shows a desktop notification if its event is switched on in the settings.
+ * The automation tab is kept in the notification id, so a click can focus it later.
+ * @param {string} event - A key of NOTIFICATION_EVENTS.
+ * @param {string} message
+ * @param {string} [title] - Defaults to the event's title.
+ */
+function notify(event, message, title = NOTIFICATION_EVENTS[event].title) {
+    if (!settings[NOTIFICATION_EVENTS[event].setting]) return;
+    const notificationId = [NOTIFICATION_ID_PREFIX, event, currentTabId === null ? '' : currentTabId, Date.now()].join(':');
+    chrome.notifications.create(notificationId, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL(chrome.runtime.getManifest().icons['128']),
+        title: title,
+        message: message,
+        priority: event === 'actionBlocked' || event === 'connectionLost' ? 2 : 0
+    }).catch(error => console.error("Error showing notification:", error));
+}
+
+/**
+ * Focuses the tab a notification was about; falls back to any Instagram tab if it is gone.
+ * @param {string} notificationId
+ */
+async function focusNotificationTab(notificationId) {
+    const [prefix, , tabId] = notificationId.split(':');
+    if (prefix !== NOTIFICATION_ID_PREFIX) return;
+    chrome.notifications.clear(notificationId);
+
+    let tab = tabId ? await chrome.tabs.get(Number(tabId)).catch(() => null) : null;
+    if (!tab) {
+        [tab] = await chrome.tabs.query({ url: 'https://www.instagram.com/*' });
+    }
+    if (!tab) {
+        console.warn("No Instagram tab to focus for the notification.");
+        return;
+    }
+    await chrome.tabs.update(tab.id, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+/**
+ * Summarizes the running session for a notification.
+ * @returns {string}
+ */
+function sessionSummary() {
+    return `${processedToday}/${getEffectiveDailyLimit()} actions today.`;
+}
+
+/**
+ * Stops a session whose tab or content script can no longer be reached.
+ * @param {string} reason
+ */
+function stopForLostConnection(reason) {
+    notify('connectionLost', reason);
+    stopAutomation(reason);
+}
+
+
+// --- Chrome Event Listeners ---
+
+/**
+ * Handles messages from the popup or the content script.
+ */
+function handleMessage(request, sender, sendResponse) {
+    console.log("Background received message:", request);
+
+    // Handle messages from Popup
+    if (sender.tab === undefined) { // Message from popup (or other extension pages)
+        switch (request.command) {
+            case 'startAutomation':
+                startAutomation(request.actionType, request.approvedUsernames, request.usernameList);
+                sendResponse({ status: 'acknowledged' });
+                break;
+            case 'stopAutomation':
+                stopAutomation();
+                sendResponse({ status: 'acknowledged' });
+                break;
+            case 'getSettings':
+                sendResponse({ settings: settings });
+                break;
+            case 'saveSettings':
+                saveSettings(request.settings)
+                    .then(() => sendResponse({ status: 'acknowledged' }))
+                    .catch(error => sendResponse({ status: 'error', error: error.message, fieldErrors: error.fieldErrors || null }));
+                return true;
+            case 'getStatus':
+                sendResponse(getStatus());
+                break;
+            case 'queryLedger':
+                queryLedger(request.query)
+                    .then(entries => sendResponse({ entries: entries }))
+                    .catch(error => {
+                        console.error("Error querying ledger:", error);
+                        sendResponse({ status: 'error', error: error.message });
+                    });
+                return true; // Respond asynchronously
+            case 'getHistory':
+                getHistory(request.range)
+                    .then(history => sendResponse(history))
+                    .catch(error => {
+                        console.error("Error loading history:", error);
+                        sendResponse({ status: 'error', error: error.message });
+                    });
+                return true;
+            case 'exportHistory':
+                exportHistory(request.query, request.format)
+                    .then(file => sendResponse({ file: file }))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'getProtectedAccounts':
+                loadProtectedAccounts()
+                    .then(usernames => sendResponse({ protectedAccounts: usernames }))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'addProtectedAccounts':
+                loadProtectedAccounts()
+                    .then(usernames => saveProtectedAccounts([...usernames, ...(request.usernames || [])]))
+                    .then(usernames => sendResponse({ protectedAccounts: usernames }))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'removeProtectedAccount':
+                loadProtectedAccounts()
+                    .then(usernames => saveProtectedAccounts(usernames.filter(u => u !== normalizeUsername(request.username))))
+                    .then(usernames => sendResponse({ protectedAccounts: usernames }))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'getDoNotFollow':
+                getDoNotFollowList()
+                    .then(list => sendResponse({ doNotFollow: list }))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'addDoNotFollow':
+                editDoNotFollow(request.usernames || [])
+                    .then(list => sendResponse({ doNotFollow: list }))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'removeDoNotFollow':
+                editDoNotFollow([], request.username)
+                    .then(list => sendResponse({ doNotFollow: list }))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'previewTargets':
+                previewTargets(request.actionType)
+                    .then(preview => sendResponse({ status: 'previewed', ...preview }))
+                    .catch(error => {
+                        console.error("Error previewing targets:", error);
+                        sendResponse({ status: 'error', error: error.message });
+                    });
+                return true;
+            case 'overrideCooldown':
+                overrideCooldown()
+                    .then(() => sendResponse(getStatus()))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'getSelectorPack':
+                getSelectorPack()
+                    .then(result => sendResponse(result))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'importSelectorPack':
+                importSelectorPack(request.pack)
+                    .then(() => getSelectorPack())
+                    .then(result => sendResponse(result))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'resetSelectorPack':
+                chrome.storage.local.remove(STORAGE_KEYS.SELECTOR_PACK)
+                    .then(() => getSelectorPack())
+                    .then(result => sendResponse(result))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'selectorSelfTest':
+                runSelectorSelfTest()
+                    .then(report => sendResponse({ status: 'selfTested', report: report }))
+                    .catch(error => {
+                        console.error("Error running selector self-test:", error);
+                        sendResponse({ status: 'error', error: error.message });
+                    });
+                return true;
+            case 'getFollowBackStats':
+                getFollowBackStats()
+                    .then(stats => sendResponse({ stats: stats }))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'checkFollowBacks':
+                checkFollowBacks()
+                    .then(() => getFollowBackStats())
+                    .then(stats => sendResponse({ stats: stats }))
+                    .catch(error => {
+                        console.error("Error checking follow-backs:", error);
+                        sendResponse({ status: 'error', error: error.message });
+                    });
+                return true;
+            case 'getCampaign':
+                loadCampaignSources()
+                    .then(sources => sendResponse({ sources: sources }))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'saveCampaign':
+                saveCampaignSources(request.sources)
+                    .then(sources => sendResponse({ sources: sources }))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'startCampaign':
+                startCampaign()
+                    .then(() => sendResponse({ status: 'acknowledged' }))
+                    .catch(error => {
+                        console.error("Error starting campaign:", error);
+                        sendResponse({ status: 'error', error: error.message });
+                    });
+                return true;
+            case 'getPresets':
+                loadPresets()
+                    .then(state => sendResponse(summarizePresets(state)))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'createPreset':
+            case 'renamePreset':
+            case 'duplicatePreset':
+            case 'deletePreset':
+            case 'activatePreset':
+            case 'importPresets': {
+                const operations = {
+                    createPreset: () => createPreset(request.name || ''),
+                    renamePreset: () => renamePreset(request.id, request.name || ''),
+                    duplicatePreset: () => duplicatePreset(request.id),
+                    deletePreset: () => deletePreset(request.id),
+                    activatePreset: () => activatePreset(request.id),
+                    importPresets: () => importPresets(request.file)
+                };
+                operations[request.command]()
+                    .then(summary => sendResponse(summary))
+                    .catch(error => {
+                        console.error(`Error in ${request.command}:`, error);
+                        sendResponse({ status: 'error', error: error.message });
+                    });
+                return true;
+            }
+            case 'exportPresets':
+                exportPresets(request.id)
+                    .then(file => sendResponse({ file: file }))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'getScheduleLog':
+                chrome.storage.local.get(STORAGE_KEYS.SCHEDULE_LOG)
+                    .then(data => sendResponse({ log: data[STORAGE_KEYS.SCHEDULE_LOG] || [] }))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'getNonFollowerStats':
+                getNonFollowerStats()
+                    .then(stats => sendResponse({ stats: stats }))
+                    .catch(error => sendResponse({ status: 'error', error: error.message }));
+                return true;
+            case 'refreshFollowersSnapshot':
+            case 'refreshFollowingSnapshot': {
+                const isFollowers = request.command === 'refreshFollowersSnapshot';
+                refreshSnapshot(isFollowers ? STORAGE_KEYS.FOLLOWERS_SNAPSHOT : STORAGE_KEYS.FOLLOWING_SNAPSHOT,
+                                isFollowers ? 'followers' : 'following')
+                    .then(() => getNonFollowerStats())
+                    .then(stats => sendResponse({ stats: stats }))
+                    .catch(error => {
+                        console.error("Error refreshing snapshot:", error);
+                        sendResponse({ status: 'error', error: error.message });
+                    });
+                return true;
+            }
+            default:
+                console.warn("Unknown command from popup:", request.command);
+                 sendResponse({ status: 'unknown_command' });
+        }
+    } else { // Message from content script
+        if (sender.tab && sender.tab.id !== currentTabId) {
+             console.warn(`Received message from unexpected tab ${sender.tab.id}. Current tab is ${currentTabId}. Ignoring content script message.`);
+             // Optionally, stop automation if this indicates an issue with the active tab
+             // stopAutomation();
+             return true; // Indicate async response, though we won't send one
+        }
+
+        switch (request.status) {
+            case 'ready':
+                console.log("Content script in the active tab is ready.");
+                 // This confirms the content script is loaded after injection attempt or tab finding
+                 // No action needed here, we wait for the 'startAutomation' command from popup
+                 // and then schedule the find/perform sequence.
+                break;
+            case 'running':
+                 console.log("Content script reports running.");
+                // This is an acknowledge from content script after receiving startAutomation command
+                // The next step is scheduleNextAction which calls performNextAction remotely
+                 break;
+            case 'stopped':
+                console.log("Content script reported stopped.");
+                 // This might happen if CS detects something critical or is explicitly stopped.
+                 if (isActive) { // Only process if background thinks it's active
+                      console.warn("Automation stopped unexpectedly by content script.");
+                      stopAutomation('Stopped by the content script.'); // Sync background state
+                 }
+                break;
+            case 'actionCompleted': {
+                if (!request.verified) {
+                    // Only verified actions may use up the daily budget
+                    console.warn(`Unverified completion reported for "${request.username}". Treating as failed.`);
+                    recordLedgerEntry(LEDGER_OUTCOMES.FAILED, { ...request, type: 'unverified' }, sender);
+                    scheduleNextAction();
+                    break;
+                }
+                console.log(`Content script reported action completed.`);
+                recordLedgerEntry(LEDGER_OUTCOMES.COMPLETED, request, sender);
+                recordFollowState(request);
+                sessionProcessedCount++;
+                // The ledger entry above is the durable record; these keep the counts current until the next refresh
+                const completedType = request.actionType || actionType;
+                processedToday++;
+                processedByType[completedType]++;
+                hourlyCompletions[completedType].push(Date.now());
+                if (budgetInfo) {
+                    budgetInfo = describeBudget(budgetInfo);
+                }
+                saveState({ lastActionTimestamp: Date.now() });
+                sendStatusToPopup(); // Update UI with new counts
+
+                // Check limits before scheduling the next action
+                if (!enforceBudget()) {
+                    // Stopped, moved to the next campaign source, or waiting for the hourly cap
+                } else if (sessionProcessedCount >= settings.actionsPerBatch) {
+                    console.log(`Batch limit (${settings.actionsPerBatch}) reached.`);
+                    scheduleBatchPause();
+                } else {
+                    // Schedule the next action with random delay
+                    scheduleNextAction();
+                }
+                break;
+            }
+            case 'actionFailed':
+                console.warn(`Content script reported action failed:`, request);
+                // Failed actions (including clicks that could not be verified) never count toward the limits
+                recordLedgerEntry(LEDGER_OUTCOMES.FAILED, request, sender);
+                // Decide error handling: Stop, retry, skip user?
+                // For now, just log and move to the next by scheduling, unless it's a critical type.
+                 if (request.type === 'domParsingError' || request.type === 'clickError') {
+                     console.error("Critical failure reported by content script. Stopping automation.");
+                     stopAutomation(`Critical failure (${request.type}).`); // Stop on critical DOM/click errors
+                 } else {
+                     console.warn("Non-critical action failed, proceeding with next action.");
+                     // Schedule the next action as usual
+                     scheduleNextAction();
+                 }
+                 sendStatusToPopup(); // Update status - maybe add an error flag or count
+
+                break;
+            case 'actionBlocked':
+                console.error("Content script detected Action Blocked. Stopping automation.");
+                recordLedgerEntry(LEDGER_OUTCOMES.BLOCKED, request, sender);
+                // Immediately stop on action block detection and lock further starts
+                notify('actionBlocked', `Instagram blocked an action${request.username ? ` on @${request.username}` : ''}. Automation stopped and locked for the cooldown.`);
+                stopAutomation('Instagram blocked an action.');
+                recordBlockEvent(request, sender);
+                break;
+             case 'userSkipped':
+                 console.log(`Content script skipped user "${request.username}": ${request.details}`);
+                 recordLedgerEntry(LEDGER_OUTCOMES.SKIPPED, request, sender);
+                 if (request.phase === 'scan') {
+                     // Excluded while scanning the list; no action turn was consumed,
+                     // so the already scheduled action stays as it is.
+                     break;
+                 }
+                 // User was skipped (e.g., button state changed, private-account filter).
+                 // The content script already advanced its index and waits for this turn;
+                 // it never moves on by itself. We proceed to schedule the *next* action immediately without waiting for the random delay,
+                 // to avoid penalizing for skipped users.
+                 // List runs did open a profile for the skip, so they keep the usual delay.
+                 console.log("Scheduling next action after skip.");
+                 scheduleNextAction(listRun ? undefined : 100); // Schedule with a minimal delay
+                 sendStatusToPopup(); // Update status - maybe show skipped count
+                 break;
+            case 'targetsFound':
+                 // This message reports the initial targets found by the content script
+                 console.log(`Content script reported ${request.count} targets found.`);
+                 // We don't necessarily need the full list unless the background script
+                 // is deciding *which* target element selector to send.
+                 // Currently, CS decides which to click based on index.
+                 break;
+            case 'completed':
+                  console.log(`Content script reports automation completed: ${request.message}`);
+                  // This means the content script has exhausted targets on the current view
+                  // or finished its task.
+                  finishSource(request.message || 'No more targets.'); // Next campaign source, or stop
+                  sendStatusToPopup();
+                  break;
+             case 'error':
+                 console.error(`Content script reported error: type=${request.type}, details=${request.details}`);
+                 if (request.username) {
+                     // Errors tied to a specific user (e.g. clickError) are failed actions
+                     recordLedgerEntry(LEDGER_OUTCOMES.FAILED, request, sender);
+                 }
+                 // Handle various content script errors. Critical errors should stop automation.
+                 // Examples: domParsingError, clickError, page structure changed fundamentally.
+                 if (request.type === 'domParsingError' || request.type === 'clickError' || request.type === 'noTargetAtIndex') {
+                     console.error("Critical error from content script. Stopping automation.");
+                     stopAutomation(`Critical error (${request.type}).`);
+                 } else {
+                     console.warn("Non-critical error from content script. Automation may continue.", request);
+                     // For non-critical errors, might continue or implement retry/backoff
+                     // Currently, scheduledNextAction() is handled by 'actionCompleted'/'actionFailed',
+                     // so we don't need to schedule here unless stopping.
+                 }
+                 sendStatusToPopup(); // Update status - maybe add an error message
+                 break;
+            default:
+                console.warn("Unknown status message from content script:", request);
+                 // sendResponse({ status: 'unknown_status' }); // Don't send response to CS messages usually
+        }
+        // For content script messages, return true if async response is needed (rare)
+        // For now, no async response is needed for status updates.
+        return true; // Indicate async response potential anyway for robustness
+    }
+}
+
+// Listener for messages from popup or content script
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (!sessionRestored) {
+        // The worker was just woken up by this message; answer once the session is back
+        sessionReady.then(() => handleMessage(request, sender, sendResponse));
+        return true;
+    }
+    return handleMessage(request, sender, sendResponse);
+});
+
+// Listener for alarms
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    await sessionReady; // Alarms often wake a suspended worker; restore the session first
+    if (alarm.name === ALARM_NAMES.PERFORM_ACTION) {
+        console.log("Alarm triggered:", ALARM_NAMES.PERFORM_ACTION);
+        executeNextAction();
+    } else if (alarm.name === ALARM_NAMES.FOLLOW_BACK_CHECK) {
+        console.log("Alarm triggered:", ALARM_NAMES.FOLLOW_BACK_CHECK);
+        if (isActive || isPausedForBatch) {
+            console.log("Automation is running; skipping this follow-back check.");
+            return;
+        }
+        checkFollowBacks().catch(error => console.error("Periodic follow-back check failed:", error));
+    } else if (alarm.name === ALARM_NAMES.SCHEDULE) {
+        console.log("Alarm triggered:", ALARM_NAMES.SCHEDULE);
+        checkSchedule().catch(error => console.error("Error applying the schedule:", error));
+    } else if (alarm.name === ALARM_NAMES.BATCH_PAUSE) {
+        console.log("Alarm triggered:", ALARM_NAMES.BATCH_PAUSE);
+        // Batch pause is over, resume automation
+        isPausedForBatch = false;
+        isActive = true; // Resume active state
+        console.log("Batch pause over. Resuming automation.");
+        notify('batchPause', 'Resuming automation with the next batch.', 'Batch pause over');
+        persistSession();
+        // Immediately attempt to find the next batch of targets and perform the first action
+        // The content script will find initial targets, and then performNextAction will be called.
+         if (currentTabId !== null && listRun) {
+             scheduleNextAction(1000); // List runs just open the next profile
+         } else if (currentTabId !== null) {
+             // Request content script to start scanning for the next batch
+             const runOptions = await buildRunOptions(actionType);
+             chrome.tabs.sendMessage(currentTabId, { command: 'startAutomation', actionType: actionType, options: runOptions })
+                 .then(() => {
+                     // Schedule the first action of the new batch after a small delay
+                     scheduleNextAction(1000); // Short delay before first action of batch
+                 })
+                 .catch(error => {
+                     console.error("Error restarting content script for new batch:", error);
+                     stopForLostConnection('The content script could not be restarted after the batch pause.');
+                 });
+         } else {
+             console.error("Cannot resume batch: currentTabId is null.");
+             stopForLostConnection('The Instagram tab is no longer known.');
+         }
+
+        sendStatusToPopup(); // Update status to show not paused anymore
+
+    }
+});
+
+// Listener for tab updates (URL changes, tab closing)
+chrome.tabs.onUpdated.addListener(async (tabId_updated, changeInfo, tab) => {
+     await sessionReady;
+     // Check if the updated tab is the one we're automating on and if automation is active
+     if (isActive && currentTabId !== null && tabId_updated === currentTabId) {
+          // Check if the URL is still an Instagram URL
+          if (changeInfo.url && !changeInfo.url.includes('instagram.com')) {
+               console.warn(`Tab ${tabId_updated} changed URL away from Instagram. Stopping automation.`);
+               stopForLostConnection('The tab navigated away from Instagram.');
+          }
+          // We could also listen for `status: 'complete'` after a page reload
+          // and potentially re-inject/re-start automation if needed, but for simplicity
+          // stopping is safer on URL change away from Instagram.
+     }
+});
+
+// Listener for notification clicks
+chrome.notifications.onClicked.addListener(focusNotificationTab);
+
+// Listener for tab removal (tab closing)
+chrome.tabs.onRemoved.addListener(async (tabId_removed, removeInfo) => {
+    await sessionReady;
+    // Check if the removed tab is the one we're automating on and if automation is active or paused
+    if ((isActive || isPausedForBatch) && currentTabId !== null && tabId_removed === currentTabId) {
+        console.warn(`Tab ${tabId_removed} was closed. Stopping automation.`);
+        stopForLostConnection('The Instagram tab was closed.');
+    }
+});
+
+
+// --- Initialization ---
+
+// Initialize settings and state when the service worker starts, then pick up
+// a session that was running when the previous worker instance was suspended
+console.log("Background Service Worker started.");
+const sessionReady = loadSettingsAndState()
+    .then(restoreSession)
+    .then(scheduleFollowBackCheck)
+    .catch(error => console.error("Error restoring session:", error))
+    .finally(() => { sessionRestored = true; });
+// Catch up on the schedule (a window may have started while the browser was closed);
+// kept out of sessionReady because opening a tab for it can take a while
+sessionReady.then(checkSchedule).catch(error => console.error("Error applying the schedule:", error));
+// Earlier versions reset the daily count with a periodic alarm that restarted with every
+// worker start; the budget now comes from the ledger, so drop any leftover alarm.
+chrome.alarms.clear(ALARM_NAMES.DAILY_RESET);
 ```
\ No newline at end of file
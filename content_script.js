@@ -1,457 +1,1389 @@
-```javascript
-// content_script.js
-// This script is injected into Instagram pages to interact with the DOM.
-// It listens for messages from the background script to perform follow/unfollow actions
-// and reports back the status.
-
-console.log("Instagram Mass Follow/Unfollow Content Script Loaded.");
-
-// --- DOM Selectors (These are critical and may need updates if Instagram changes) ---
-// These selectors are based on typical Instagram UI structure as of late 2023/early 2024
-// They prioritize aria-labels, data-attributes, or stable class names where possible.
-
-// Selector for the primary container holding user list items (e.g., Followers, Following modals)
-// This often changes. Look for modals containing user lists or sections with many user entries.
-// Example: A common pattern is a div with a specific role or nested structure.
-// ! IMPORTANT: This selector needs frequent verification against live Instagram DOM.
-// A general approach is to find the scrollable container within a modal or page section
-// that contains user list items.
-const USER_LIST_CONTAINER_SELECTOR = 'div[role="dialog"] div[style*="flex-direction: column"] > div:first-child, section.jgA5P, main[role="main"] div[style*="overflow-y: auto"]'; // Example: Adapt based on current modal/page structure
-
-// Selector for individual user list items within the container.
-// Look for the element that wraps a user's profile picture, username, and action button.
-// Example: A div with a specific role or nested structure within the list container.
-// ! IMPORTANT: This selector also needs frequent verification.
-const USER_LIST_ITEM_SELECTOR = 'div[role="dialog"] div[style*="flex-direction: column"] > div:first-child > div, ._aano, ._acan._acao._acat._acav'; // Example: Adapt to the typical row structure
-
-// Selector for the Follow/Unfollow button *within* a user list item.
-// Prioritize buttons with specific text content, aria-label, or data attributes.
-// Look for buttons like '<button>Follow</button>' or '<button>Following</button>' or buttons with a specific role="button".
-// ! Try to be specific to avoid clicking other buttons.
-// Example: Button containing "Follow" or "Following" text, possibly within span/div.
-const ACTION_BUTTON_SELECTOR = 'button[type="button"]';
-
-// Selector for the Unfollow confirmation modal (if it appears).
-// Look for a dialog or modal element that contains confirmation text/buttons.
-const UNFOLLOW_CONFIRMATION_MODAL_SELECTOR = 'div[role="dialog"][aria-label="Unfollow"]';
-
-// Selector for the "Unfollow" button *within* the unfollow confirmation modal.
-// Look for the button confirming the unfollow action inside the modal.
-// Example: A button within the modal that has "Unfollow" text.
-const UNFOLLOW_CONFIRMATION_BUTTON_SELECTOR = `${UNFOLLOW_CONFIRMATION_MODAL_SELECTOR} button._a9--._a9_1`; // Example: Adapt to the button structure within the modal
-
-// Selector for "Action Blocked" or similar warning modals/messages
-// These are harder to generalize, look for common text content or modal structures.
-const ACTION_BLOCKED_SELECTOR = 'div[role="dialog"] h3, button[aria-label="OK"][tabindex="0"]'; // Example: Looks for dialogs with a header or generic OK button
-
-// --- State and Control ---
-let isAutomationRunning = false;
-let automationType = null; // 'follow' or 'unfollow'
-let processedUsernames = new Set(); // Keep track of users we've attempted to action in this session
-let targetsFound = []; // Array of DOM elements that are potential targets
-let targetIndex = 0; // Current index in the targetsFound array
-
-// --- Mutation Observer ---
-// Used to detect when new elements are added to the DOM, like during infinite scroll.
-let observer = null;
-
-function setupMutationObserver() {
-    const container = document.querySelector(USER_LIST_CONTAINER_SELECTOR);
-    if (!container) {
-        console.warn("MutationObserver: User list container not found.");
-        // Attempt to find targets without the observer if container isn't immediately available
-        findAllTargets();
-        return;
-    }
-
-    observer = new MutationObserver((mutations) => {
-        mutations.forEach(mutation => {
-            if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-                console.log("Mutation Observer: New nodes added.");
-                // Re-evaluate targets when new nodes appear.
-                // We don't necessarily need to find all again, but can process new nodes.
-                // For simplicity, we'll re-scan, ensuring we don't add duplicates based on username.
-                if (isAutomationRunning) {
-                    findAllTargets(); // Re-find targets to potentially add new ones
-                }
-            }
-        });
-    });
-
-    // Start observing the container for changes in its children.
-    observer.observe(container, { childList: true, subtree: true });
-    console.log("Mutation Observer activated on:", container);
-}
-
-function disconnectMutationObserver() {
-    if (observer) {
-        observer.disconnect();
-        observer = null;
-        console.log("Mutation Observer disconnected.");
-    }
-}
-
-// --- Core Logic Functions ---
-
-/
- * Finds all potential user list item elements on the current page/view.
- * Filters out elements that have already been processed or don't have the correct button state.
- */
-function findAllTargets() {
-    if (!isAutomationRunning) {
-        console.info("Automation not running, skipping target finding.");
-        return;
-    }
-
-    console.log(`Finding targets for automation type: ${automationType}`);
-    const listItems = document.querySelectorAll(USER_LIST_ITEM_SELECTOR);
-    console.log(`Found ${listItems.length} potential list items.`);
-
-    const newTargets = [];
-    listItems.forEach(item => {
-        try {
-            // Attempt to get the username associated with the list item
-            // Look for a link with the user's handle in text or href
-            const usernameElement = item.querySelector('a[role="link"]') || item.querySelector('a');
-            const username = usernameElement ? usernameElement.innerText.trim() || usernameElement.href.split("/")[3] : null;
-
-            if (!username || processedUsernames.has(username)) {
-                // Skip if no username found or already processed
-                return;
-            }
-
-            const actionButton = item.querySelector(ACTION_BUTTON_SELECTOR);
-            if (!actionButton) {
-                // Skip if no button found in the list item
-                console.warn(`No action button found in list item for user: ${username}`);
-                // Mark as processed to avoid repeated checks on this item in the same session
-                processedUsernames.add(username);
-                chrome.runtime.sendMessage({
-                    status: 'userSkipped',
-                    username: username,
-                    details: 'No action button found'
-                }).catch(e => console.error("Error sending message:", e));
-                return;
-            }
-
-            const buttonText = actionButton.innerText.trim().toLowerCase();
-            const isFollowButton = buttonText === 'follow';
-            const isFollowingButton = buttonText === 'following' || buttonText === 'requested'; // 'requested' also means unfollowable for now
-
-            let shouldTarget = false;
-            if (automationType === 'follow' && isFollowButton) {
-                shouldTarget = true;
-            } else if (automationType === 'unfollow' && isFollowingButton) {
-                shouldTarget = true;
-            }
-
-            if (shouldTarget) {
-                // Check if this specific item (or at least its username) has already been added as a target
-                // We check against processedUsernames to handle re-renders or observer calls
-                if (!targetsFound.some(target => target.item === item)) {
-                     newTargets.push({ item: item, button: actionButton, username: username });
-                     console.log(`Found target: ${automationType} button for ${username}`);
-                }
-            } else {
-                 // If it's the wrong button type or already followed/not following,
-                 // mark as processed to avoid re-evaluating constantly.
-                 processedUsernames.add(username);
-            }
-
-        } catch (error) {
-            console.error("Error processing list item:", error);
-            // Report potential error item
-            // Can also mark with a temporary attribute to skip next time
-            item.setAttribute('data-processing-error', 'true');
-             chrome.runtime.sendMessage({
-                 status: 'error',
-                 type: 'domParsingError',
-                 details: `Error processing list item: ${error.message}`,
-                 html: item.innerHTML.substring(0, 200) // Send a snippet for debugging
-             }).catch(e => console.error("Error sending message:", e));
-        }
-    });
-
-    // Add only truly new targets to the main array
-    newTargets.forEach(nT => {
-        if (!targetsFound.some(e => e.username === nT.username)) {
-             targetsFound.push(nT);
-        }
-    });
-
-
-    console.log(`Total potential targets identified: ${targetsFound.length}`);
-
-    // Report available targets back to background script, but only for context.
-    // The background script drives which action to take.
-}
-
-/
- * Attempts to perform the specified action (follow/unfollow) on the next available target.
- * Scans for newly loaded elements if current targets are exhausted.
- */
-async function performNextAction() {
-    if (!isAutomationRunning || !automationType) {
-        console.log("Automation not running or type not set. Stopping action loop.");
-        reportStatus('idle');
-        return;
-    }
-
-    // Ensure we have targets, re-scan if necessary, especially with dynamic loading
-    if (targetIndex >= targetsFound.length) {
-         console.log("Exhausted current targets. Scrolling or looking for more...");
-         // Trigger a scroll action to load more content
-         triggerScroll();
-         // Brief delay to allow content to load before rescanning
-         await new Promise(resolve => setTimeout(resolve, 1000)); // Adjust delay as needed
-
-         findAllTargets(); // Find new targets after scrolling
-         if (targetIndex >= targetsFound.length) {
-            console.log("No new targets found after scrolling. Automation might be complete for this view.");
-            reportStatus('completed', { message: 'No more targets found on screen.' });
-            stopAutomation(); // Stop if no new targets appear
-            return;
-         }
-    }
-
-    const target = targetsFound[targetIndex];
-    if (!target) {
-         console.error("No target available at current index.");
-         reportStatus('error', { type: 'noTargetAtIndex', details: `Target index ${targetIndex} out of bounds` });
-         stopAutomation();
-         return;
-    }
-
-    const { item, button, username } = target;
-
-    // Double-check if the button state is still correct before clicking
-    const currentButtonText = button.innerText.trim().toLowerCase();
-    const isCorrectButton = (automationType === 'follow' && currentButtonText === 'follow') ||
-                            (automationType === 'unfollow' && (currentButtonText === 'following' || currentButtonText === 'requested'));
-
-    if (!isCorrectButton) {
-        console.warn(`Button state changed for ${username}. Skipping.`);
-        processedUsernames.add(username); // Mark as processed as it's no longer a valid target
-        targetIndex++; // Move to next index
-         chrome.runtime.sendMessage({
-             status: 'userSkipped',
-             username: username,
-              details: `Button state changed to "${currentButtonText}"`
-         }).catch(e => console.error("Error sending message:", e));
-        // Immediately attempt the next action without waiting for background script
-        // This prevents long pauses on skipped users.
-        performNextAction();
-        return;
-    }
-
-    if (processedUsernames.has(username)) {
-         console.warn(`User ${username} already processed. Skipping.`);
-         targetIndex++;
-         performNextAction(); // Skip and move to next
-         return;
-    }
-
-    console.log(`Attempting to ${automationType} user: ${username}`);
-
-    try {
-        button.click();
-        processedUsernames.add(username); // Mark as processed AFTER attempting click
-
-        // Handle potential unfollow confirmation modal
-        if (automationType === 'unfollow') {
-            // Give a brief moment for the modal to appear
-            await new Promise(resolve => setTimeout(resolve, 500));
-            const confirmationModal = document.querySelector(UNFOLLOW_CONFIRMATION_MODAL_SELECTOR);
-            if (confirmationModal) {
-                console.log("Unfollow confirmation modal detected, clicking confirm...");
-                const confirmButton = confirmationModal.querySelector(UNFOLLOW_CONFIRMATION_BUTTON_SELECTOR);
-                if (confirmButton) {
-                    confirmButton.click();
-                    console.log("Clicked unfollow confirmation.");
-                } else {
-                    console.warn("Unfollow confirmation button not found in modal.");
-                    reportStatus('warning', {
-                        type: 'unfollowModalButtonNotFound',
-                        details: 'Confirmation modal appeared, but confirm button not found.',
-                        username: username
-                    });
-                }
-                 // Wait a bit for the modal to close
-                 await new Promise(resolve => setTimeout(resolve, 500));
-            }
-        }
-
-        // Check for immediate "Action Blocked" feedback (e.g., a quick modal appears)
-        // This check is best done after a brief pause following the click
-         await new Promise(resolve => setTimeout(resolve, 100)); // Small delay to let UI update
-         const actionBlocked = document.querySelector(ACTION_BLOCKED_SELECTOR);
-         if (actionBlocked) {
-              console.warn("Action Blocked modal or element detected!");
-              reportStatus('actionBlocked', { username: username });
-              stopAutomation(); // Immediately stop automation
-              return; // Stop further action execution
-         }
-
-
-        console.log(`Successfully attempted ${automationType} action for ${username}.`);
-        reportStatus('actionCompleted', {
-            actionType: automationType,
-            username: username,
-            success: true // Assume success unless 'actionBlocked' or subsequent error
-        });
-
-        targetIndex++; // Move to the next target for the next turn
-
-        // The background script will send the next 'performAction' message after its delay/pause logic.
-
-    } catch (error) {
-        console.error(`Error clicking action button for ${username}:`, error);
-        reportStatus('error', {
-            type: 'clickError',
-            details: error.message,
-            username: username,
-            actionType: automationType
-        });
-        // Don't mark as processed if click failed, maybe retry later or user handles manually
-        // processedUsernames.add(username); // Decide if you want to skip on click error
-        targetIndex++; // Move to the next, might be best to skip failed elements
-
-        // The background script needs to decide whether to continue or stop after an error.
-        // We just report and wait for the next instruction.
-    }
-}
-
-/
- * Attempts to scroll the user list container to load more items.
- */
-function triggerScroll() {
-    const container = document.querySelector(USER_LIST_CONTAINER_SELECTOR);
-     if (container) {
-         console.log("Scrolling user list container...");
-         // Scroll to the bottom of the container
-         container.scrollTop = container.scrollHeight;
-     } else {
-         console.warn("Could not find scrollable user list container for scrolling.");
-     }
-}
-
-
-// --- Communication with Background Script ---
-
-/
- * Sends a status update message to the background script.
- * @param {string} status - The status type (e.g., 'ready', 'running', 'paused', 'actionCompleted', 'error', 'actionBlocked', 'userSkipped', 'completed').
- * @param {object} [payload] - Additional data to send with the status.
- */
-function reportStatus(status, payload = {}) {
-    chrome.runtime.sendMessage({ status: status, ...payload })
-        .catch(error => {
-            // This catch handles errors if the background script is no longer listening
-            // (e.g., service worker stopped or page closed)
-            console.error("Error sending status message to background script:", error);
-            // If background communication fails, stop automation in content script
-            isAutomationRunning = false;
-            automationType = null;
-            targetsFound = [];
-            targetIndex = 0;
-           processedUsernames.clear();
-            disconnectMutationObserver();
-        });
-}
-
-/
- * Starts the automation process in the content script.
- * Initiates target finding and sets up the mutation observer.
- */
-function startAutomation(type) {
-    if (isAutomationRunning) {
-        console.log("Automation is already running.");
-        reportStatus('warning', { type: 'alreadyRunning' });
-        return;
-    }
-    console.log(`Starting automation type: ${type}`);
-    isAutomationRunning = true;
-    automationType = type;
-    processedUsernames.clear(); // Reset processed users for a new session
-    targetsFound = []; // Clear previous targets
-    targetIndex = 0;
-
-    setupMutationObserver(); // Set up observer to detect new elements
-    findAllTargets(); // Initial scan for targets
-
-    // If no targets initially found, report and potentialy stop.
-    // The background script should handle this logic and decide whether to try scrolling
-    // or give up based on its overall strategy.
-    if (targetsFound.length === 0) {
-        console.warn("No initial targets found. Will rely on observer/scrolling.");
-        // reportStatus('warning', { type: 'noInitialTargets' }); // Can report this if needed
-        // Continue, as scrolling might reveal targets.
-    }
-
-    reportStatus('running', { actionType: automationType });
-}
-
-/
- * Stops the automation process in the content script.
- * Clears state and disconnects the mutation observer.
- */
-function stopAutomation() {
-    console.log("Stopping automation in content script.");
-    isAutomationRunning = false;
-    automationType = null;
-    targetsFound = [];
-    targetIndex = 0;
-   processedUsernames.clear(); // Clear processed users on full stop
-    disconnectMutationObserver();
-    reportStatus('stopped');
-}
-
-
-// --- Message Listener ---
-// Listens for messages from the background script.
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    console.log("Content script received message:", request);
-
-    // Handle different commands from the background script
-    if (request.command === 'startAutomation') {
-        startAutomation(request.actionType);
-        sendResponse({ status: 'received_start_command' }); // Acknowledge receipt
-    } else if (request.command === 'stopAutomation') {
-        stopAutomation();
-        sendResponse({ status: 'received_stop_command' }); // Acknowledge receipt
-    } else if (request.command === 'performAction') {
-         // The background script tells us *when* to perform the next action.
-         // We just need to find the next valid target and click it.
-         if (isAutomationRunning) {
-              performNextAction();
-              sendResponse({ status: 'received_perform_action' }); // Acknowledge receipt
-         } else {
-              console.warn("Received 'performAction' command but automation is not running.");
-              sendResponse({ status: 'not_running' });
-         }
-    } else if (request.command === 'findAllTargets') {
-         // Command to explicitly scan for targets and report back (might be useful for UI preview)
-         findAllTargets(); // Update internal targetsFound list
-         // Report back the found targets (or just the count/usernames)
-         const targetDetails = targetsFound.map(t => ({ username: t.username, actionType: automationType }));
-         reportStatus('targetsFound', { count: targetsFound.length, targets: targetDetails });
-         sendResponse({ status: 'targets_reported' });
-    } else if (request.command === 'getStatus') {
-         sendResponse({
-              status: isAutomationRunning ? 'running' : 'idle',
-              actionType: automationType,
-              targetCount: targetsFound.length,
-              targetIndex: targetIndex,
-              processedCount: processedUsernames.size
-         });
-     }
-    // Always return true to indicate that you wish to send a response asynchronously
-    return true;
-});
-
-
-// Initial setup when the content script is injected.
-// We don't start automation automatically, we wait for a message from the popup/background.
-// But we can report that the content script is ready.
-reportStatus('ready');
+```javascript
+// content_script.js
+// This script is injected into Instagram pages to interact with the DOM.
+// It listens for messages from the background script to perform follow/unfollow actions
+// and reports back the status.
+
+console.log("Instagram Mass Follow/Unfollow Content Script Loaded.");
+
+// --- DOM Selectors ---
+// All selectors come from the active selector pack (see selectors.js): the built-in
+// DEFAULT_SELECTOR_PACK, or an imported pack from storage that replaces it.
+let selectorPack = DEFAULT_SELECTOR_PACK;
+
+/**
+ * Gets the selectors of a role from the active pack; optional roles the pack
+ * leaves out fall back to the built-in selectors.
+ * @param {string} role - A key of SELECTOR_ROLES.
+ * @returns {string[]}
+ */
+function getRoleSelectors(role) {
+    return selectorPack.roles[role] || DEFAULT_SELECTOR_PACK.roles[role] || [];
+}
+
+/**
+ * Finds the first element for a selector role, trying the role's selectors in order.
+ * Invalid selectors in an imported pack are skipped rather than throwing.
+ * @param {string} role - A key of SELECTOR_ROLES.
+ * @param {ParentNode} [root=document] - Element to search within.
+ * @returns {Element|null}
+ */
+function queryRole(role, root = document) {
+    for (const selector of getRoleSelectors(role)) {
+        try {
+            const element = root.querySelector(selector);
+            if (element) return element;
+        } catch (error) {
+            console.warn(`Invalid selector for role "${role}": ${selector}`);
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds all elements for a selector role using the first selector that matches anything.
+ * @param {string} role - A key of SELECTOR_ROLES.
+ * @param {ParentNode} [root=document] - Element to search within.
+ * @returns {Element[]}
+ */
+function queryRoleAll(role, root = document) {
+    for (const selector of getRoleSelectors(role)) {
+        try {
+            const elements = root.querySelectorAll(selector);
+            if (elements.length > 0) return Array.from(elements);
+        } catch (error) {
+            console.warn(`Invalid selector for role "${role}": ${selector}`);
+        }
+    }
+    return [];
+}
+
+/**
+ * Loads the imported selector pack from storage, falling back to the built-in pack.
+ */
+async function loadSelectorPack() {
+    try {
+        const data = await chrome.storage.local.get(SELECTOR_PACK_STORAGE_KEY);
+        selectorPack = data[SELECTOR_PACK_STORAGE_KEY] || DEFAULT_SELECTOR_PACK;
+        console.log(`Using selector pack "${selectorPack.name || 'Unnamed'}" v${selectorPack.version}.`);
+    } catch (error) {
+        console.error("Error loading selector pack, using built-in pack:", error);
+        selectorPack = DEFAULT_SELECTOR_PACK;
+    }
+}
+
+/**
+ * Reports which selector roles resolve on the current page and how many elements each matches.
+ * @returns {object} - { pack: {name, version}, roles: { [role]: { count, matchedSelector, selectors[] } } }
+ */
+function runSelectorSelfTest() {
+    const roles = {};
+    // Some roles only make sense inside another element
+    const scopes = {
+        actionButton: queryRole('listItem'),
+        verifiedBadge: queryRole('listItem'),
+        profilePicture: queryRole('listItem'),
+        defaultAvatar: queryRole('listItem'),
+        confirmButton: queryRole('confirmDialog')
+    };
+
+    Object.keys(SELECTOR_ROLES).forEach(role => {
+        const root = scopes[role] || document;
+        const selectors = getRoleSelectors(role).map(selector => {
+            try {
+                return { selector: selector, count: root.querySelectorAll(selector).length };
+            } catch (error) {
+                return { selector: selector, count: 0, error: 'Invalid selector' };
+            }
+        });
+        const matched = selectors.find(result => result.count > 0);
+        roles[role] = {
+            count: matched ? matched.count : 0,
+            matchedSelector: matched ? matched.selector : null,
+            scoped: !!scopes[role],
+            selectors: selectors
+        };
+    });
+
+    return {
+        pack: { name: selectorPack.name, version: selectorPack.version },
+        locale: getLabelLocale(),
+        roles: roles
+    };
+}
+
+// Public app id the Instagram web client sends with its API requests
+const INSTAGRAM_WEB_APP_ID = '936619743392459';
+
+// How long a clicked button may take to show its new state before the action counts as failed
+const ACTION_VERIFY_TIMEOUT_MS = 6000;
+const ACTION_VERIFY_POLL_MS = 250;
+// How long a row must stay out of the list before its removal counts as a confirmed unfollow
+const ACTION_VERIFY_REMOVAL_MS = 2000;
+
+// Background colors of Instagram's filled (primary) buttons; an unlabelled primary
+// button in a user row is a Follow button
+const PRIMARY_BUTTON_COLORS = ['rgb(0, 149, 246)', 'rgb(74, 93, 249)'];
+
+// Storage key of the profile metrics cache (username -> metrics with fetchedAt)
+const PROFILE_CACHE_STORAGE_KEY = 'instagramAutomationProfileCache';
+
+// Minimum gap between two profile fetches that miss the cache, so skip streaks
+// do not turn into bursts of profile requests
+const PROFILE_FETCH_MIN_INTERVAL_MS = 3000;
+
+// --- State and Control ---
+let isAutomationRunning = false;
+let automationType = null; // 'follow' or 'unfollow'
+let processedUsernames = new Set(); // Keep track of users we've attempted to action in this session
+let targetsFound = []; // Array of DOM elements that are potential targets
+let targetIndex = 0; // Current index in the targetsFound array
+let protectedAccounts = new Set(); // Usernames that must never be unfollowed (managed whitelist)
+let nonFollowersOnly = false; // Unfollow mode: only target accounts missing from followerUsernames
+let followerUsernames = new Set(); // Cached snapshot of our own followers
+let doNotFollow = new Set(); // Follow mode: usernames we unfollowed before or listed by hand
+let rowFilters = null; // Follow mode: compiled row filters (see compileRowFilters), or null for none
+let isCollectingUsernames = false; // True while collectListUsernames() is scrolling a list
+let privateFilter = null; // Unfollow mode: 'only' private accounts, 'exclude' private accounts, or null (no filter)
+let profileInfoCache = new Map(); // username -> profile info, mirrors the stored cache for this page's lifetime
+let profileCacheTtlMs = 24 * 60 * 60 * 1000; // How long fetched profile info stays valid
+let metricFilters = null; // Profile-metric thresholds (see getMetricExclusion), or null to skip the inspection
+let uiLocale = 'auto'; // Button label locale: a key of BUTTON_LABELS or 'auto' (page lang attribute)
+let approvedUsernames = null; // Set of lowercase usernames approved in a preview, or null to allow any target
+let isPreviewing = false; // True while previewTargets() scans the list without clicking
+let isPerformingAction = false; // True while performNextAction() works on a turn; repeated commands are ignored
+let lastProfileFetchAt = 0; // When fetchProfileInfo() last went to the network
+let previewExclusions = []; // Exclusions collected during a preview instead of being reported
+
+// --- Mutation Observer ---
+// Used to detect when new elements are added to the DOM, like during infinite scroll.
+let observer = null;
+
+function setupMutationObserver() {
+    const container = queryRole('listContainer');
+    if (!container) {
+        console.warn("MutationObserver: User list container not found.");
+        // Attempt to find targets without the observer if container isn't immediately available
+        findAllTargets();
+        return;
+    }
+
+    observer = new MutationObserver((mutations) => {
+        mutations.forEach(mutation => {
+            if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
+                console.log("Mutation Observer: New nodes added.");
+                // Re-evaluate targets when new nodes appear.
+                // We don't necessarily need to find all again, but can process new nodes.
+                // For simplicity, we'll re-scan, ensuring we don't add duplicates based on username.
+                if (isAutomationRunning) {
+                    findAllTargets(); // Re-find targets to potentially add new ones
+                }
+            }
+        });
+    });
+
+    // Start observing the container for changes in its children.
+    observer.observe(container, { childList: true, subtree: true });
+    console.log("Mutation Observer activated on:", container);
+}
+
+function disconnectMutationObserver() {
+    if (observer) {
+        observer.disconnect();
+        observer = null;
+        console.log("Mutation Observer disconnected.");
+    }
+}
+
+// --- Core Logic Functions ---
+
+/**
+ * Reports a user that was excluded while scanning the list.
+ * Scan-time skips are flagged so the background does not treat them as a finished action turn.
+ * @param {string} username - The excluded username.
+ * @param {string} reason - Short machine-readable reason (e.g. 'protected').
+ * @param {string} details - Human-readable explanation.
+ */
+function reportScanSkip(username, reason, details) {
+    if (isPreviewing) {
+        // A dry run must not leave skip entries in the ledger; the preview lists them instead
+        previewExclusions.push({ username: username, reason: reason, details: details });
+        return;
+    }
+    chrome.runtime.sendMessage({
+        status: 'userSkipped',
+        phase: 'scan',
+        username: username,
+        reason: reason,
+        details: details
+    }).catch(e => console.error("Error sending message:", e));
+}
+
+/**
+ * Extracts the username from a user list item.
+ * Looks for a link with the user's handle in text or href.
+ * @param {Element} item - The list item element.
+ * @returns {string|null}
+ */
+function getUsernameFromItem(item) {
+    const usernameElement = item.querySelector('a[role="link"]') || item.querySelector('a');
+    return usernameElement ? usernameElement.innerText.trim() || usernameElement.href.split("/")[3] : null;
+}
+
+/**
+ * Finds the row currently showing a username, e.g. after Instagram re-rendered the list.
+ * @param {string|null} username
+ * @returns {Element|null}
+ */
+function findListItem(username) {
+    return username ? queryRoleAll('listItem').find(row => getUsernameFromItem(row) === username) || null : null;
+}
+
+/**
+ * Tells whether a user's row left the list: the list still shows rows, but none for the username.
+ * No rows at all (list re-rendering, selectors no longer matching) is no evidence of a removal.
+ * @param {string} username
+ * @returns {boolean}
+ */
+function isRowRemoved(username) {
+    const rows = queryRoleAll('listItem');
+    return rows.length > 0 && !rows.some(row => getUsernameFromItem(row) === username);
+}
+
+/**
+ * Finds a row's action button, looking the row up again by username once Instagram replaced it.
+ * @param {Element} item - The user list item, possibly detached.
+ * @returns {Element|null}
+ */
+function findRowActionButton(item) {
+    const row = item.isConnected ? item : findListItem(getUsernameFromItem(item));
+    return row ? queryRole('actionButton', row) : null;
+}
+
+/**
+ * Gets the locale whose button labels are tried first.
+ * @returns {string} - A key of BUTTON_LABELS.
+ */
+function getLabelLocale() {
+    return resolveLabelLocale(uiLocale, document.documentElement.lang);
+}
+
+/**
+ * Looks a button text up in the label table, active locale first, then all other locales
+ * (the lang attribute is not always accurate).
+ * @param {string} text - Button text or aria-label.
+ * @param {string[]} kinds - Label kinds to check, e.g. ['follow', 'following', 'requested'].
+ * @returns {string|null} - The matching kind, or null.
+ */
+function matchButtonLabel(text, kinds) {
+    const normalized = (text || '').trim().toLowerCase();
+    if (!normalized) return null;
+
+    const active = getLabelLocale();
+    const locales = [active, ...Object.keys(BUTTON_LABELS).filter(locale => locale !== active)];
+    for (const locale of locales) {
+        const kind = kinds.find(k => BUTTON_LABELS[locale][k].includes(normalized));
+        if (kind) return kind;
+    }
+    return null;
+}
+
+/**
+ * Classifies the relationship shown by a list item's action button.
+ * 'requested' means a follow request to a private account is still pending.
+ * Tries the visible text, then the aria-label, then the button's styling.
+ * @param {Element} button - The action button.
+ * @returns {'follow'|'following'|'requested'|null}
+ */
+function getButtonState(button) {
+    const kinds = ['follow', 'following', 'requested'];
+    const byText = matchButtonLabel(button.innerText, kinds);
+    if (byText) return byText;
+
+    const byAria = matchButtonLabel(button.getAttribute('aria-label'), kinds);
+    if (byAria) return byAria;
+
+    // Structural fallback: only Follow is rendered as a filled primary button.
+    // Following and Requested look alike, so they are never guessed.
+    if (PRIMARY_BUTTON_COLORS.includes(getComputedStyle(button).backgroundColor)) {
+        return 'follow';
+    }
+    return null;
+}
+
+/**
+ * Waits for a row's action button to reach one of the expected states after a click.
+ * Instagram may re-render the row, so the button is re-queried once it is detached.
+ * @param {Element} item - The user list item.
+ * @param {Element} button - The button that was clicked.
+ * @param {string[]} expectedStates - States that confirm the action (see getButtonState).
+ * @param {number} [timeoutMs=ACTION_VERIFY_TIMEOUT_MS]
+ * @param {function(): Element|null} [findButton] - Re-queries the button; defaults to the action button
+ *        of the row, looked up again by username once the row is detached.
+ * @param {function(): boolean} [isRemoved] - Tells whether the row left the list, which confirms the
+ *        action (the Following list drops a row after a confirmed unfollow). The row must stay out
+ *        until the timeout and for at least ACTION_VERIFY_REMOVAL_MS. Omit if removal proves nothing.
+ * @returns {Promise<{verified: boolean, state: string|null, text: string}>} - State 'removed' if the row left the list.
+ */
+async function waitForButtonState(item, button, expectedStates, timeoutMs = ACTION_VERIFY_TIMEOUT_MS,
+                                  findButton = () => findRowActionButton(item), isRemoved = null) {
+    const deadline = Date.now() + timeoutMs;
+    let current = button;
+    let removedSince = null; // When the row was last seen leaving the list
+
+    while (true) {
+        if (!current || !current.isConnected) {
+            current = findButton();
+        }
+        const state = current ? getButtonState(current) : null;
+        if (expectedStates.includes(state)) {
+            return { verified: true, state: state, text: current.innerText.trim() };
+        }
+        if (!current && isRemoved && isRemoved()) {
+            removedSince = removedSince || Date.now();
+        } else {
+            removedSince = null; // The row is back, or the list can't tell
+        }
+        if (Date.now() >= deadline) {
+            const removedFor = removedSince ? Date.now() - removedSince : -1;
+            if (removedFor >= ACTION_VERIFY_REMOVAL_MS) {
+                return { verified: true, state: 'removed', text: 'row removed from the list' };
+            }
+            if (removedFor < 0) {
+                return { verified: false, state: state, text: current ? current.innerText.trim() : '' };
+            }
+            // The row left just before the timeout; keep watching until its removal is certain
+        }
+        await new Promise(resolve => setTimeout(resolve, ACTION_VERIFY_POLL_MS));
+    }
+}
+
+/**
+ * Finds the unfollow confirmation dialog. Falls back to any dialog containing a
+ * localized confirm button when the pack's selectors (often English aria-labels) miss.
+ * @returns {Element|null}
+ */
+function findConfirmDialog() {
+    const dialog = queryRole('confirmDialog');
+    if (dialog) return dialog;
+
+    return Array.from(document.querySelectorAll('div[role="dialog"]'))
+        .find(candidate => findLabelledConfirmButton(candidate)) || null;
+}
+
+/**
+ * Finds the button confirming an unfollow inside the confirmation dialog.
+ * @param {Element} dialog - The confirmation dialog.
+ * @returns {Element|null}
+ */
+function findConfirmButton(dialog) {
+    return queryRole('confirmButton', dialog) || findLabelledConfirmButton(dialog);
+}
+
+/**
+ * Finds a button whose text or aria-label is a localized "Unfollow" confirmation.
+ * @param {Element} root
+ * @returns {Element|null}
+ */
+function findLabelledConfirmButton(root) {
+    return Array.from(root.querySelectorAll('button, div[role="button"]')).find(button =>
+        matchButtonLabel(button.innerText, ['confirm']) ||
+        matchButtonLabel(button.getAttribute('aria-label'), ['confirm'])) || null;
+}
+
+/**
+ * Looks up profile info cached in memory or in storage, ignoring expired entries.
+ * @param {string} key - Lowercase username.
+ * @returns {Promise<object|null>}
+ */
+async function getCachedProfileInfo(key) {
+    const isFresh = info => info && Date.now() - info.fetchedAt < profileCacheTtlMs;
+    if (isFresh(profileInfoCache.get(key))) {
+        return profileInfoCache.get(key);
+    }
+    const data = await chrome.storage.local.get(PROFILE_CACHE_STORAGE_KEY);
+    const stored = (data[PROFILE_CACHE_STORAGE_KEY] || {})[key];
+    if (isFresh(stored)) {
+        profileInfoCache.set(key, stored);
+        return stored;
+    }
+    return null;
+}
+
+/**
+ * Stores fetched profile info in the cache, dropping expired entries on the way.
+ * @param {string} key - Lowercase username.
+ * @param {object} info
+ */
+async function saveProfileInfo(key, info) {
+    profileInfoCache.set(key, info);
+    try {
+        const data = await chrome.storage.local.get(PROFILE_CACHE_STORAGE_KEY);
+        const cache = data[PROFILE_CACHE_STORAGE_KEY] || {};
+        const now = Date.now();
+        Object.keys(cache).forEach(username => {
+            if (now - cache[username].fetchedAt >= profileCacheTtlMs) delete cache[username];
+        });
+        cache[key] = info;
+        await chrome.storage.local.set({ [PROFILE_CACHE_STORAGE_KEY]: cache });
+    } catch (error) {
+        console.warn("Could not store profile info:", error);
+    }
+}
+
+/**
+ * Fetches a user's profile information from the page's own session.
+ * Results are cached per username for profileCacheTtlMs, so a profile is fetched at most once per TTL.
+ * @param {string} username
+ * @param {boolean} [useCache=true] - False to always fetch current numbers.
+ * @returns {Promise<{isPrivate: boolean, followers: number, following: number, posts: number, bioEmpty: boolean, fetchedAt: number}|null>} -
+ *          Null if the profile could not be read.
+ */
+async function fetchProfileInfo(username, useCache = true) {
+    const key = username.toLowerCase();
+    const cached = useCache ? await getCachedProfileInfo(key) : null;
+    if (cached) {
+        return cached;
+    }
+
+    const wait = lastProfileFetchAt + PROFILE_FETCH_MIN_INTERVAL_MS - Date.now();
+    if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    lastProfileFetchAt = Date.now();
+
+    try {
+        const response = await fetch(`/api/v1/users/web_profile_info/?username=${encodeURIComponent(key)}`, {
+            headers: { 'X-IG-App-ID': INSTAGRAM_WEB_APP_ID },
+            credentials: 'include'
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        const user = data && data.data && data.data.user;
+        if (!user) {
+            throw new Error('No user in response');
+        }
+
+        const count = edge => (edge && typeof edge.count === 'number') ? edge.count : null;
+        const info = {
+            isPrivate: !!user.is_private,
+            followers: count(user.edge_followed_by),
+            following: count(user.edge_follow),
+            posts: count(user.edge_owner_to_timeline_media),
+            bioEmpty: !(user.biography || '').trim(),
+            fetchedAt: Date.now()
+        };
+        await saveProfileInfo(key, info);
+        return info;
+    } catch (error) {
+        console.warn(`Could not fetch profile info for ${username}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Determines the privacy of an unfollow target.
+ * A pending request ('requested') is only possible for private accounts, so no lookup is needed.
+ * @param {{username: string, relationship: string}} target
+ * @returns {Promise<'private'|'public'|null>} - Null if the privacy could not be determined.
+ */
+async function getTargetPrivacy(target) {
+    if (target.relationship === 'requested') {
+        return 'private';
+    }
+    const info = await fetchProfileInfo(target.username);
+    return info ? (info.isPrivate ? 'private' : 'public') : null;
+}
+
+/**
+ * Runs the checks that need the target's profile: the unfollow private-account filter
+ * and the profile-metric thresholds.
+ * @param {{username: string, relationship: string}} target
+ * @returns {Promise<{reason: string, details: string}|null>} - The skip, or null if the target may be actioned.
+ */
+async function getInspectionSkip(target) {
+    if (automationType === 'unfollow' && privateFilter) {
+        const privacy = await getTargetPrivacy(target);
+        if (privacy === null) {
+            return { reason: 'privacyUnknown', details: 'Could not determine whether the profile is private' };
+        } else if (privateFilter === 'only' && privacy !== 'private') {
+            return { reason: 'notPrivate', details: 'Profile is public' };
+        } else if (privateFilter === 'exclude' && privacy === 'private') {
+            return { reason: 'private', details: target.relationship === 'requested' ? 'Follow request pending (private account)' : 'Profile is private' };
+        }
+    }
+
+    if (metricFilters) {
+        const info = await fetchProfileInfo(target.username);
+        return info ? getMetricExclusion(info) : { reason: 'metricsUnknown', details: 'Could not load the profile' };
+    }
+    return null;
+}
+
+/**
+ * Applies the profile-metric thresholds to fetched profile info.
+ * A threshold of 0 (or unset) is not applied.
+ * @param {object} info - From fetchProfileInfo.
+ * @returns {{reason: string, details: string}|null} - The exclusion naming the threshold, or null if the profile passes.
+ */
+function getMetricExclusion(info) {
+    const skip = details => ({ reason: 'profileMetrics', details: details });
+    const { followers, following, posts } = info;
+
+    if (metricFilters.skipPrivate && info.isPrivate) {
+        return skip('Profile is private');
+    }
+    if (metricFilters.skipEmptyBio && info.bioEmpty) {
+        return skip('Bio is empty');
+    }
+    const usesCounts = ['minFollowers', 'maxFollowers', 'maxFollowing', 'minPosts', 'maxFollowingRatio']
+        .some(threshold => metricFilters[threshold] > 0);
+    if (usesCounts && (followers === null || following === null || posts === null)) {
+        return { reason: 'metricsUnknown', details: 'Profile counts are not available' };
+    }
+    if (metricFilters.maxFollowers > 0 && followers > metricFilters.maxFollowers) {
+        return skip(`${followers} followers (more than ${metricFilters.maxFollowers})`);
+    }
+    if (metricFilters.minFollowers > 0 && followers < metricFilters.minFollowers) {
+        return skip(`${followers} followers (fewer than ${metricFilters.minFollowers})`);
+    }
+    if (metricFilters.maxFollowing > 0 && following > metricFilters.maxFollowing) {
+        return skip(`Follows ${following} accounts (more than ${metricFilters.maxFollowing})`);
+    }
+    if (metricFilters.minPosts > 0 && posts < metricFilters.minPosts) {
+        return skip(`${posts} posts (fewer than ${metricFilters.minPosts})`);
+    }
+    if (metricFilters.maxFollowingRatio > 0) {
+        const ratio = following / Math.max(followers, 1);
+        if (ratio > metricFilters.maxFollowingRatio) {
+            return skip(`Following/followers ratio ${ratio.toFixed(1)} (above ${metricFilters.maxFollowingRatio})`);
+        }
+    }
+    return null;
+}
+
+/**
+ * Reads what a list row shows about an account besides its button.
+ * @param {Element} item - The list row.
+ * @param {string} username - The username found in the row.
+ * @returns {{fullName: string, isVerified: boolean, hasProfilePicture: boolean}}
+ */
+function getRowInfo(item, username) {
+    // Rows have no stable hook for the full name; it is the first line of row text
+    // that isn't the username, the button label or a separator
+    const button = queryRole('actionButton', item);
+    const buttonText = button ? button.innerText.trim().toLowerCase() : '';
+    const fullName = (item.innerText || '').split('\n')
+        .map(line => line.trim())
+        .find(line => line && line !== '·' && line.toLowerCase() !== username.toLowerCase() &&
+                      line.toLowerCase() !== buttonText && !matchButtonLabel(line, ['follow', 'following', 'requested'])) || '';
+
+    const picture = queryRole('profilePicture', item);
+    const pictureSrc = picture ? picture.getAttribute('src') || '' : '';
+
+    return {
+        fullName: fullName,
+        isVerified: !!queryRole('verifiedBadge', item),
+        hasProfilePicture: !!pictureSrc && !queryRole('defaultAvatar', item)
+    };
+}
+
+/**
+ * Parses a rule list with the shared parser (filter_rules.js). Invalid regular expressions are skipped.
+ * @param {string} text
+ * @returns {{label: string, test: function(string): boolean}[]}
+ */
+function getFilterRules(text) {
+    const { rules, invalid } = parseFilterRules(text);
+    invalid.forEach(rule => console.warn(`Ignoring invalid filter rule ${rule.label}: ${rule.error}`));
+    return rules;
+}
+
+/**
+ * Compiles the row filters sent with the run options.
+ * @param {object} filters - { usernameInclude, usernameExclude, fullNameInclude, fullNameExclude, skipVerified, skipNoProfilePicture }
+ * @returns {object}
+ */
+function compileRowFilters(filters) {
+    return {
+        usernameInclude: getFilterRules(filters.usernameInclude),
+        usernameExclude: getFilterRules(filters.usernameExclude),
+        fullNameInclude: getFilterRules(filters.fullNameInclude),
+        fullNameExclude: getFilterRules(filters.fullNameExclude),
+        skipVerified: !!filters.skipVerified,
+        skipNoProfilePicture: !!filters.skipNoProfilePicture
+    };
+}
+
+/**
+ * Applies the row filters to a row.
+ * @param {Element} item - The list row.
+ * @param {string} username - The username found in the row.
+ * @returns {{reason: string, details: string}|null} - The exclusion naming the rule, or null if the row passes.
+ */
+function getRowFilterExclusion(item, username) {
+    const info = getRowInfo(item, username);
+    const checks = [
+        { field: 'Username', value: username, include: rowFilters.usernameInclude, exclude: rowFilters.usernameExclude },
+        { field: 'Full name', value: info.fullName, include: rowFilters.fullNameInclude, exclude: rowFilters.fullNameExclude }
+    ];
+
+    for (const check of checks) {
+        if (check.include.length > 0 && !check.include.some(rule => rule.test(check.value))) {
+            return { reason: 'rowFilter', details: `${check.field} matches no include rule (${check.include.map(rule => rule.label).join(', ')})` };
+        }
+        const excludedBy = check.exclude.find(rule => rule.test(check.value));
+        if (excludedBy) {
+            return { reason: 'rowFilter', details: `${check.field} matches exclude rule ${excludedBy.label}` };
+        }
+    }
+    if (rowFilters.skipVerified && info.isVerified) {
+        return { reason: 'rowFilter', details: 'Verified account' };
+    }
+    if (rowFilters.skipNoProfilePicture && !info.hasProfilePicture) {
+        return { reason: 'rowFilter', details: 'No profile picture' };
+    }
+    return null;
+}
+
+/**
+ * Checks whether a would-be target must be excluded.
+ * @param {string} username - The candidate's username.
+ * @param {Element} [item] - The candidate's list row; needed for the follow-mode row filters.
+ * @returns {{reason: string, details: string}|null} - The exclusion, or null if the user may be targeted.
+ */
+function getExclusion(username, item) {
+    if (automationType === 'unfollow' && protectedAccounts.has(username.toLowerCase())) {
+        return { reason: 'protected', details: 'Account is on the protected list' };
+    }
+    if (automationType === 'unfollow' && nonFollowersOnly && followerUsernames.has(username.toLowerCase())) {
+        return { reason: 'followsBack', details: 'Account follows you' };
+    }
+    if (automationType === 'follow' && doNotFollow.has(username.toLowerCase())) {
+        return { reason: 'previouslyUnfollowed', details: 'Previously unfollowed' };
+    }
+    if (automationType === 'follow' && rowFilters && item) {
+        return getRowFilterExclusion(item, username);
+    }
+    return null;
+}
+
+/
+ * Finds all potential user list item elements on the current page/view.
+ * Filters out elements that have already been processed or don't have the correct button state.
+ */
+function findAllTargets() {
+    if (!isAutomationRunning && !isPreviewing) {
+        console.info("Automation not running, skipping target finding.");
+        return;
+    }
+
+    console.log(`Finding targets for automation type: ${automationType}`);
+    const listItems = queryRoleAll('listItem');
+    console.log(`Found ${listItems.length} potential list items.`);
+
+    const newTargets = [];
+    listItems.forEach(item => {
+        try {
+            // Attempt to get the username associated with the list item
+            const username = getUsernameFromItem(item);
+
+            if (!username || processedUsernames.has(username)) {
+                // Skip if no username found or already processed
+                return;
+            }
+
+            const actionButton = queryRole('actionButton', item);
+            if (!actionButton) {
+                // Skip if no button found in the list item
+                console.warn(`No action button found in list item for user: ${username}`);
+                // Mark as processed to avoid repeated checks on this item in the same session
+                processedUsernames.add(username);
+                reportScanSkip(username, 'noActionButton', 'No action button found');
+                return;
+            }
+
+            const buttonState = getButtonState(actionButton);
+            const isFollowButton = buttonState === 'follow';
+            const isFollowingButton = buttonState === 'following' || buttonState === 'requested'; // Cancelling a pending request counts as an unfollow
+
+            let shouldTarget = false;
+            if (automationType === 'follow' && isFollowButton) {
+                shouldTarget = true;
+            } else if (automationType === 'unfollow' && isFollowingButton) {
+                shouldTarget = true;
+            }
+            if (shouldTarget && approvedUsernames && !approvedUsernames.has(username.toLowerCase())) {
+                // Not part of the approved preview selection; ignore silently
+                shouldTarget = false;
+            }
+
+            const exclusion = shouldTarget ? getExclusion(username, item) : null;
+            if (exclusion) {
+                console.log(`Excluding ${username}: ${exclusion.details}`);
+                processedUsernames.add(username);
+                reportScanSkip(username, exclusion.reason, exclusion.details);
+            } else if (shouldTarget) {
+                // Check if this specific item (or at least its username) has already been added as a target
+                // We check against processedUsernames to handle re-renders or observer calls
+                if (!targetsFound.some(target => target.item === item)) {
+                     newTargets.push({ item: item, button: actionButton, username: username, relationship: buttonState });
+                     console.log(`Found target: ${automationType} button for ${username}`);
+                }
+            } else {
+                 // If it's the wrong button type or already followed/not following,
+                 // mark as processed to avoid re-evaluating constantly.
+                 processedUsernames.add(username);
+            }
+
+        } catch (error) {
+            console.error("Error processing list item:", error);
+            // Report potential error item
+            // Can also mark with a temporary attribute to skip next time
+            item.setAttribute('data-processing-error', 'true');
+             chrome.runtime.sendMessage({
+                 status: 'error',
+                 type: 'domParsingError',
+                 details: `Error processing list item: ${error.message}`,
+                 html: item.innerHTML.substring(0, 200) // Send a snippet for debugging
+             }).catch(e => console.error("Error sending message:", e));
+        }
+    });
+
+    // Add only truly new targets to the main array
+    newTargets.forEach(nT => {
+        if (!targetsFound.some(e => e.username === nT.username)) {
+             targetsFound.push(nT);
+        }
+    });
+
+
+    console.log(`Total potential targets identified: ${targetsFound.length}`);
+
+    // Report available targets back to background script, but only for context.
+    // The background script drives which action to take.
+}
+
+/
+ * Attempts to perform the specified action (follow/unfollow) on the next available target.
+ * Scans for newly loaded elements if current targets are exhausted.
+ */
+async function performNextAction() {
+    if (!isAutomationRunning || !automationType) {
+        console.log("Automation not running or type not set. Stopping action loop.");
+        reportStatus('idle');
+        return;
+    }
+
+    // Ensure we have targets, re-scan if necessary, especially with dynamic loading
+    if (targetIndex >= targetsFound.length) {
+         console.log("Exhausted current targets. Scrolling or looking for more...");
+         // Trigger a scroll action to load more content
+         triggerScroll();
+         // Brief delay to allow content to load before rescanning
+         await new Promise(resolve => setTimeout(resolve, 1000)); // Adjust delay as needed
+
+         findAllTargets(); // Find new targets after scrolling
+         if (targetIndex >= targetsFound.length && approvedUsernames && allApprovedProcessed()) {
+            console.log("All approved accounts have been processed.");
+            reportStatus('completed', { message: 'All approved accounts processed.' });
+            stopAutomation(false); // 'completed' already told the background; it may be opening the next source
+            return;
+         }
+         if (targetIndex >= targetsFound.length) {
+            console.log("No new targets found after scrolling. Automation might be complete for this view.");
+            reportStatus('completed', { message: 'No more targets found on screen.' });
+            stopAutomation(false); // Stop if no new targets appear; 'completed' already told the background
+            return;
+         }
+    }
+
+    const target = targetsFound[targetIndex];
+    if (!target) {
+         console.error("No target available at current index.");
+         reportStatus('error', { type: 'noTargetAtIndex', details: `Target index ${targetIndex} out of bounds` });
+         stopAutomation();
+         return;
+    }
+
+    const { item, button, username } = target;
+
+    // Double-check if the button state is still correct before clicking
+    const currentButtonText = button.innerText.trim().toLowerCase();
+    const currentButtonState = getButtonState(button);
+    const isCorrectButton = (automationType === 'follow' && currentButtonState === 'follow') ||
+                            (automationType === 'unfollow' && (currentButtonState === 'following' || currentButtonState === 'requested'));
+
+    if (!isCorrectButton) {
+        console.warn(`Button state changed for ${username}. Skipping.`);
+        processedUsernames.add(username); // Mark as processed as it's no longer a valid target
+        targetIndex++; // Move to next index
+         chrome.runtime.sendMessage({
+             status: 'userSkipped',
+             username: username,
+              details: `Button state changed to "${currentButtonText}"`
+         }).catch(e => console.error("Error sending message:", e));
+        // The background schedules the next turn with a minimal delay for skips
+        return;
+    }
+
+    // The exclusion lists may have changed since the target was found
+    const exclusion = getExclusion(username, item);
+    if (exclusion) {
+        console.warn(`Excluding ${username}: ${exclusion.details}`);
+        processedUsernames.add(username);
+        targetIndex++;
+        chrome.runtime.sendMessage({
+            status: 'userSkipped',
+            username: username,
+            reason: exclusion.reason,
+            details: exclusion.details
+        }).catch(e => console.error("Error sending message:", e));
+        return;
+    }
+
+    // Private-account and profile-metric filters (may fetch the profile)
+    target.relationship = currentButtonState;
+    const inspectionSkip = await getInspectionSkip(target);
+    if (inspectionSkip) {
+        console.warn(`Skipping ${username}: ${inspectionSkip.details}`);
+        processedUsernames.add(username);
+        targetIndex++;
+        chrome.runtime.sendMessage({
+            status: 'userSkipped',
+            username: username,
+            relationship: currentButtonState,
+            reason: inspectionSkip.reason,
+            details: inspectionSkip.details
+        }).catch(e => console.error("Error sending message:", e));
+        // The background schedules the next turn for this skip
+        return;
+    }
+
+    if (processedUsernames.has(username)) {
+         console.warn(`User ${username} already processed. Skipping.`);
+         targetIndex++;
+         return performNextAction(); // Skip and move to next
+    }
+
+    console.log(`Attempting to ${automationType} user: ${username}`);
+
+    try {
+        button.click();
+        processedUsernames.add(username); // Mark as processed AFTER attempting click
+
+        // Handle potential unfollow confirmation modal
+        let unfollowConfirmed = false;
+        if (automationType === 'unfollow') {
+            // Give a brief moment for the modal to appear
+            await new Promise(resolve => setTimeout(resolve, 500));
+            const confirmationModal = findConfirmDialog();
+            if (confirmationModal) {
+                console.log("Unfollow confirmation modal detected, clicking confirm...");
+                const confirmButton = findConfirmButton(confirmationModal);
+                if (confirmButton) {
+                    confirmButton.click();
+                    unfollowConfirmed = true;
+                    console.log("Clicked unfollow confirmation.");
+                } else {
+                    console.warn("Unfollow confirmation button not found in modal.");
+                    reportStatus('warning', {
+                        type: 'unfollowModalButtonNotFound',
+                        details: 'Confirmation modal appeared, but confirm button not found.',
+                        username: username
+                    });
+                }
+                 // Wait a bit for the modal to close
+                 await new Promise(resolve => setTimeout(resolve, 500));
+            }
+        }
+
+        // Check for immediate "Action Blocked" feedback (e.g., a quick modal appears)
+        // This check is best done after a brief pause following the click
+         await new Promise(resolve => setTimeout(resolve, 100)); // Small delay to let UI update
+         const actionBlocked = queryRole('blockDialog');
+         if (actionBlocked) {
+              console.warn("Action Blocked modal or element detected!");
+              reportStatus('actionBlocked', { username: username });
+              stopAutomation(); // Immediately stop automation
+              return; // Stop further action execution
+         }
+
+        // Verify the click actually took effect before it counts toward any limit:
+        // Follow -> Following/Requested, Following/Requested -> Follow
+        const expectedStates = automationType === 'follow' ? ['following', 'requested'] : ['follow'];
+        // A confirmed unfollow may remove the row (Following list) instead of relabelling its button
+        const verification = await waitForButtonState(item, button, expectedStates, ACTION_VERIFY_TIMEOUT_MS, undefined,
+                                                      unfollowConfirmed ? () => isRowRemoved(username) : null);
+        if (!verification.verified) {
+            console.warn(`Could not verify ${automationType} for ${username}; button shows "${verification.text}".`);
+            reportStatus('actionFailed', {
+                type: 'verificationFailed',
+                actionType: automationType,
+                username: username,
+                relationship: currentButtonState,
+                details: `Button still shows "${verification.text || 'nothing'}" after ${ACTION_VERIFY_TIMEOUT_MS / 1000}s`
+            });
+            targetIndex++;
+            return;
+        }
+
+        console.log(`Verified ${automationType} action for ${username} (now "${verification.text}").`);
+        reportStatus('actionCompleted', {
+            actionType: automationType,
+            username: username,
+            relationship: currentButtonState, // 'requested' = cancelled a pending request to a private account
+            resultState: verification.state, // After a follow: 'following', or 'requested' for private accounts
+            success: true,
+            verified: true
+        });
+
+        targetIndex++; // Move to the next target for the next turn
+
+        // The background script will send the next 'performAction' message after its delay/pause logic.
+
+    } catch (error) {
+        console.error(`Error clicking action button for ${username}:`, error);
+        reportStatus('error', {
+            type: 'clickError',
+            details: error.message,
+            username: username,
+            actionType: automationType
+        });
+        // Don't mark as processed if click failed, maybe retry later or user handles manually
+        // processedUsernames.add(username); // Decide if you want to skip on click error
+        targetIndex++; // Move to the next, might be best to skip failed elements
+
+        // The background script needs to decide whether to continue or stop after an error.
+        // We just report and wait for the next instruction.
+    }
+}
+
+/
+ * Attempts to scroll the user list container to load more items.
+ */
+function triggerScroll() {
+    const container = queryRole('listContainer');
+     if (container) {
+         console.log("Scrolling user list container...");
+         // Scroll to the bottom of the container
+         container.scrollTop = container.scrollHeight;
+     } else {
+         console.warn("Could not find scrollable user list container for scrolling.");
+     }
+}
+
+/**
+ * Gets how many accounts the open followers/following list should hold, from the list owner's profile.
+ * @returns {Promise<number|null>} - Null if the page is not such a list or the profile could not be read.
+ */
+async function getOpenListSize() {
+    const match = window.location.pathname.match(/^\/([^/]+)\/(followers|following)\b/);
+    if (!match) return null;
+    const info = await fetchProfileInfo(match[1], false);
+    if (!info) return null;
+    return match[2] === 'followers' ? info.followers : info.following;
+}
+
+/**
+ * Scrolls the open user list to its end and collects every username in it.
+ * Nothing is clicked; used to snapshot our own followers/following lists.
+ * @param {number} [maxIdleRounds=3] - Scroll rounds without new usernames before the list counts as exhausted.
+ * @returns {Promise<string[]>}
+ */
+async function collectListUsernames(maxIdleRounds = 3) {
+    const usernames = new Set();
+    let idleRounds = 0;
+
+    while (idleRounds < maxIdleRounds) {
+        const sizeBefore = usernames.size;
+        queryRoleAll('listItem').forEach(item => {
+            const username = getUsernameFromItem(item);
+            if (username) {
+                usernames.add(username.toLowerCase());
+            }
+        });
+        idleRounds = usernames.size > sizeBefore ? 0 : idleRounds + 1;
+        console.log(`Collected ${usernames.size} usernames so far...`);
+
+        triggerScroll();
+        // Give the list time to load the next page of users
+        await new Promise(resolve => setTimeout(resolve, 1500));
+    }
+
+    return [...usernames];
+}
+
+/**
+ * Checks whether every username approved in a preview has been handled in this session.
+ * @returns {boolean}
+ */
+function allApprovedProcessed() {
+    const processed = new Set([...processedUsernames].map(u => u.toLowerCase()));
+    return [...approvedUsernames].every(username => processed.has(username));
+}
+
+/**
+ * Dry run: scans and scrolls the open list like a real run would, without clicking anything.
+ * @param {'follow'|'unfollow'} type - The action type to preview.
+ * @param {object} [options] - The same run options the background sends with 'startAutomation'.
+ * @param {number} [maxTargets=Infinity] - Stop scrolling once this many candidates were found.
+ * @param {number} [maxIdleRounds=3] - Scroll rounds without new rows before the list counts as exhausted.
+ * @returns {Promise<{targets: object[], excluded: object[]}>}
+ */
+async function previewTargets(type, options = {}, maxTargets = Infinity, maxIdleRounds = 3) {
+    isPreviewing = true;
+    automationType = type;
+    applyRunOptions(options);
+    processedUsernames.clear();
+    targetsFound = [];
+    targetIndex = 0;
+    previewExclusions = [];
+
+    try {
+        let idleRounds = 0;
+        while (idleRounds < maxIdleRounds && targetsFound.length < maxTargets) {
+            const seenBefore = processedUsernames.size + targetsFound.length;
+            findAllTargets();
+            const seenAfter = processedUsernames.size + targetsFound.length;
+            idleRounds = seenAfter > seenBefore ? 0 : idleRounds + 1;
+
+            triggerScroll();
+            // Give the list time to load the next page of users
+            await new Promise(resolve => setTimeout(resolve, 1500));
+        }
+
+        return {
+            targets: targetsFound.slice(0, maxTargets).map(t => ({ username: t.username, relationship: t.relationship })),
+            excluded: previewExclusions
+        };
+    } finally {
+        isPreviewing = false;
+        automationType = null;
+        targetsFound = [];
+        previewExclusions = [];
+        processedUsernames.clear();
+    }
+}
+
+
+// --- Communication with Background Script ---
+
+/
+ * Sends a status update message to the background script.
+ * @param {string} status - The status type (e.g., 'ready', 'running', 'paused', 'actionCompleted', 'error', 'actionBlocked', 'userSkipped', 'completed').
+ * @param {object} [payload] - Additional data to send with the status.
+ */
+function reportStatus(status, payload = {}) {
+    chrome.runtime.sendMessage({ status: status, ...payload })
+        .catch(error => {
+            // This catch handles errors if the background script is no longer listening
+            // (e.g., service worker stopped or page closed)
+            console.error("Error sending status message to background script:", error);
+            // If background communication fails, stop automation in content script
+            isAutomationRunning = false;
+            automationType = null;
+            targetsFound = [];
+            targetIndex = 0;
+           processedUsernames.clear();
+            disconnectMutationObserver();
+        });
+}
+
+/**
+ * Applies the run options sent by the background (exclusion lists, filters, approved selection).
+ * @param {object} options
+ */
+function applyRunOptions(options) {
+    protectedAccounts = new Set(options.protectedAccounts || []);
+    nonFollowersOnly = !!options.nonFollowersOnly;
+    followerUsernames = new Set(options.followers || []);
+    doNotFollow = new Set(options.doNotFollow || []);
+    rowFilters = options.rowFilters ? compileRowFilters(options.rowFilters) : null;
+    privateFilter = options.privateFilter || null;
+    metricFilters = options.metricFilters || null;
+    if (options.profileCacheTtlMs !== undefined) {
+        profileCacheTtlMs = options.profileCacheTtlMs;
+    }
+    approvedUsernames = options.approvedUsernames ? new Set(options.approvedUsernames.map(u => u.toLowerCase())) : null;
+    uiLocale = options.locale || 'auto';
+}
+
+/
+ * Starts the automation process in the content script.
+ * Initiates target finding and sets up the mutation observer.
+ * @param {'follow'|'unfollow'} type - The type of action to perform.
+ * @param {object} [options] - Run options from the background (e.g. protectedAccounts).
+ */
+function startAutomation(type, options = {}) {
+    if (isAutomationRunning) {
+        console.log("Automation is already running.");
+        reportStatus('warning', { type: 'alreadyRunning' });
+        return;
+    }
+    console.log(`Starting automation type: ${type}`);
+    isAutomationRunning = true;
+    automationType = type;
+    processedUsernames.clear(); // Reset processed users for a new session
+    targetsFound = []; // Clear previous targets
+    targetIndex = 0;
+    applyRunOptions(options);
+
+    setupMutationObserver(); // Set up observer to detect new elements
+    findAllTargets(); // Initial scan for targets
+
+    // If no targets initially found, report and potentialy stop.
+    // The background script should handle this logic and decide whether to try scrolling
+    // or give up based on its overall strategy.
+    if (targetsFound.length === 0) {
+        console.warn("No initial targets found. Will rely on observer/scrolling.");
+        // reportStatus('warning', { type: 'noInitialTargets' }); // Can report this if needed
+        // Continue, as scrolling might reveal targets.
+    }
+
+    reportStatus('running', { actionType: automationType });
+}
+
+/
+ * Stops the automation process in the content script.
+ * Clears state and disconnects the mutation observer.
+ * @param {boolean} [reportStopped=true] - False after 'completed' was reported: a campaign moves on
+ *        to its next source then, and a 'stopped' report would end the whole campaign.
+ */
+function stopAutomation(reportStopped = true) {
+    console.log("Stopping automation in content script.");
+    isAutomationRunning = false;
+    automationType = null;
+    targetsFound = [];
+    targetIndex = 0;
+   processedUsernames.clear(); // Clear processed users on full stop
+    disconnectMutationObserver();
+    if (reportStopped) {
+        reportStatus('stopped');
+    }
+}
+
+
+// --- Profile Actions ---
+// Used by the username-list source: the background opens each profile in the
+// automation tab and asks for one action on the profile's own button.
+
+// How long to wait for a freshly loaded profile to render its Follow/Following button
+const PROFILE_BUTTON_TIMEOUT_MS = 8000;
+
+/**
+ * Finds the Follow/Following/Requested button in the header of the open profile.
+ * @returns {Element|null}
+ */
+function findProfileActionButton() {
+    return queryRoleAll('profileActionButton').find(button => getButtonState(button) !== null) || null;
+}
+
+/**
+ * Follows or unfollows the account whose profile is open, with the same exclusions,
+ * confirmation handling, block detection and verification as a list run.
+ * Reports the outcome with the usual status messages.
+ * @param {'follow'|'unfollow'} type - The action to perform.
+ * @param {string} username - The account the background opened.
+ * @param {object} [options] - Run options from the background.
+ */
+async function performProfileAction(type, username, options = {}) {
+    applyRunOptions(options);
+    automationType = type;
+    const skip = (reason, details, relationship) => {
+        console.warn(`Skipping ${username}: ${details}`);
+        reportStatus('userSkipped', { actionType: type, username: username, relationship: relationship, reason: reason, details: details });
+    };
+
+    try {
+        const pageUsername = decodeURIComponent(location.pathname.split('/')[1] || '').toLowerCase();
+        if (pageUsername !== username.toLowerCase()) {
+            reportStatus('actionFailed', { type: 'profileUnavailable', actionType: type, username: username, details: `Profile page did not open (at ${location.pathname})` });
+            return;
+        }
+
+        // Wait for the profile header to render
+        const deadline = Date.now() + PROFILE_BUTTON_TIMEOUT_MS;
+        let button = findProfileActionButton();
+        while (!button && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, ACTION_VERIFY_POLL_MS));
+            button = findProfileActionButton();
+        }
+        if (!button) {
+            reportStatus('actionFailed', { type: 'noProfileButton', actionType: type, username: username, details: 'No Follow/Following button on the profile (missing or own account?)' });
+            return;
+        }
+
+        const currentState = getButtonState(button);
+        if (type === 'follow' && currentState !== 'follow') {
+            skip('alreadyFollowing', currentState === 'requested' ? 'Follow request already pending' : 'Already following', currentState);
+            return;
+        }
+        if (type === 'unfollow' && currentState === 'follow') {
+            skip('notFollowing', 'Not following this account', currentState);
+            return;
+        }
+
+        const exclusion = getExclusion(username) || await getInspectionSkip({ username: username, relationship: currentState });
+        if (exclusion) {
+            skip(exclusion.reason, exclusion.details, currentState);
+            return;
+        }
+
+        console.log(`Attempting to ${type} profile: ${username}`);
+        button.click();
+
+        if (type === 'unfollow') {
+            // The profile's Following button opens a menu with "Unfollow"; private
+            // accounts then ask for one more confirmation
+            for (let step = 0; step < 2; step++) {
+                await new Promise(resolve => setTimeout(resolve, 500));
+                const dialog = findConfirmDialog();
+                const confirmButton = dialog ? findConfirmButton(dialog) : null;
+                if (!confirmButton) break;
+                confirmButton.click();
+                console.log("Clicked unfollow confirmation.");
+            }
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+        if (queryRole('blockDialog')) {
+            console.warn("Action Blocked modal or element detected!");
+            reportStatus('actionBlocked', { actionType: type, username: username });
+            return;
+        }
+
+        const expectedStates = type === 'follow' ? ['following', 'requested'] : ['follow'];
+        const header = button.closest('header') || document.body;
+        const verification = await waitForButtonState(header, button, expectedStates, ACTION_VERIFY_TIMEOUT_MS, findProfileActionButton);
+        if (!verification.verified) {
+            reportStatus('actionFailed', {
+                type: 'verificationFailed',
+                actionType: type,
+                username: username,
+                relationship: currentState,
+                details: `Button still shows "${verification.text || 'nothing'}" after ${ACTION_VERIFY_TIMEOUT_MS / 1000}s`
+            });
+            return;
+        }
+
+        console.log(`Verified ${type} action for ${username} (now "${verification.text}").`);
+        reportStatus('actionCompleted', {
+            actionType: type,
+            username: username,
+            relationship: currentState,
+            resultState: verification.state,
+            success: true,
+            verified: true
+        });
+    } catch (error) {
+        console.error(`Error performing ${type} on profile ${username}:`, error);
+        reportStatus('actionFailed', { type: 'profileActionError', actionType: type, username: username, details: error.message });
+    } finally {
+        automationType = null;
+    }
+}
+
+
+// --- Message Listener ---
+// Listens for messages from the background script.
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    console.log("Content script received message:", request);
+
+    // Handle different commands from the background script
+    if (request.command === 'startAutomation') {
+        startAutomation(request.actionType, request.options);
+        sendResponse({ status: 'received_start_command' }); // Acknowledge receipt
+    } else if (request.command === 'stopAutomation') {
+        stopAutomation();
+        sendResponse({ status: 'received_stop_command' }); // Acknowledge receipt
+    } else if (request.command === 'updateProtectedAccounts') {
+         protectedAccounts = new Set(request.protectedAccounts || []);
+         console.log(`Protected accounts updated (${protectedAccounts.size}).`);
+         sendResponse({ status: 'protected_accounts_updated' });
+    } else if (request.command === 'previewTargets') {
+         if (isAutomationRunning || isCollectingUsernames || isPreviewing) {
+              sendResponse({ status: 'busy', error: 'Automation or another scan is running' });
+         } else {
+              previewTargets(request.actionType, request.options, request.maxTargets)
+                  .then(preview => sendResponse({ status: 'previewed', ...preview }))
+                  .catch(error => sendResponse({ status: 'error', error: error.message }));
+         }
+    } else if (request.command === 'collectUsernames') {
+         if (isAutomationRunning || isCollectingUsernames || isPreviewing) {
+              sendResponse({ status: 'busy', error: 'Automation or another collection is running' });
+         } else {
+              isCollectingUsernames = true;
+              collectListUsernames()
+                  .then(async usernames => sendResponse({
+                      status: 'collected',
+                      usernames: usernames,
+                      expectedCount: await getOpenListSize() // Lets the background tell a complete list from a partial one
+                  }))
+                  .catch(error => sendResponse({ status: 'error', error: error.message }))
+                  .finally(() => { isCollectingUsernames = false; });
+         }
+    } else if (request.command === 'performAction') {
+         // The background script tells us *when* to perform the next action.
+         // We just need to find the next valid target and click it.
+         if (isAutomationRunning && isPerformingAction) {
+              // The previous turn is still running (e.g. waiting for a profile fetch)
+              console.warn("Received 'performAction' command while the previous action is still running. Ignoring.");
+              sendResponse({ status: 'busy' });
+         } else if (isAutomationRunning) {
+              isPerformingAction = true;
+              performNextAction().finally(() => { isPerformingAction = false; });
+              sendResponse({ status: 'received_perform_action' }); // Acknowledge receipt
+         } else {
+              console.warn("Received 'performAction' command but automation is not running.");
+              sendResponse({ status: 'not_running' });
+         }
+    } else if (request.command === 'performProfileAction') {
+         if (isAutomationRunning || isCollectingUsernames || isPreviewing) {
+              sendResponse({ status: 'busy', error: 'Another run or scan is in progress' });
+         } else {
+              performProfileAction(request.actionType, request.username, request.options);
+              sendResponse({ status: 'received_profile_action' });
+         }
+    } else if (request.command === 'findAllTargets') {
+         // Command to explicitly scan for targets and report back (might be useful for UI preview)
+         findAllTargets(); // Update internal targetsFound list
+         // Report back the found targets (or just the count/usernames)
+         const targetDetails = targetsFound.map(t => ({ username: t.username, actionType: automationType }));
+         reportStatus('targetsFound', { count: targetsFound.length, targets: targetDetails });
+         sendResponse({ status: 'targets_reported' });
+    } else if (request.command === 'selfTestSelectors') {
+         if (!isAutomationRunning) {
+              uiLocale = request.locale || 'auto';
+         }
+         sendResponse({ status: 'selfTested', ...runSelectorSelfTest() });
+    } else if (request.command === 'getStatus') {
+         sendResponse({
+              status: isAutomationRunning ? 'running' : 'idle',
+              actionType: automationType,
+              targetCount: targetsFound.length,
+              targetIndex: targetIndex,
+              processedCount: processedUsernames.size
+         });
+     }
+    // Always return true to indicate that you wish to send a response asynchronously
+    return true;
+});
+
+
+// Keep the selector pack in sync with imports/resets made from the popup
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[SELECTOR_PACK_STORAGE_KEY]) {
+        loadSelectorPack();
+    }
+});
+
+
+// Initial setup when the content script is injected.
+// We don't start automation automatically, we wait for a message from the popup/background.
+// But we can report that the content script is ready.
+loadSelectorPack().then(() => reportStatus('ready'));
 ```
\ No newline at end of file
@@ -0,0 +1,500 @@
+/**
+ * dashboard.js - Instagram Automation Extension Statistics Page Logic
+ * Loads the action history from the background and charts it per day. Charts are drawn
+ * as inline SVG here, so nothing is loaded from outside the extension
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Chart geometry (SVG user units; the SVG scales to the section width)
+const CHART_WIDTH = 420;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = { top: 12, right: 8, bottom: 22, left: 34 };
+
+const SERIES_COLORS = {
+    follow: '#3b82f6',
+    unfollow: '#f97316',
+    skipped: '#94a3b8',
+    failed: '#ef4444',
+    blocks: '#b91c1c'
+};
+
+// State variables
+let historyData = null; // Last response of the 'getHistory' command
+let dayKeys = []; // Days of the selected range, oldest first ('YYYY-MM-DD', local time)
+let showTable = false; // Table view instead of the charts
+
+/**
+ * Initialize the dashboard when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const today = toDayKey(Date.now());
+    document.getElementById('rangeTo').value = today;
+    document.getElementById('rangeFrom').value = toDayKey(Date.now() - 29 * DAY_MS);
+
+    document.getElementById('rangeSelect').addEventListener('change', handleRangeChange);
+    document.getElementById('rangeFrom').addEventListener('change', loadHistory);
+    document.getElementById('rangeTo').addEventListener('change', loadHistory);
+    document.getElementById('refreshBtn').addEventListener('click', loadHistory);
+    document.getElementById('viewToggleBtn').addEventListener('click', () => {
+        showTable = !showTable;
+        renderDashboard();
+    });
+    document.getElementById('exportCsvBtn').addEventListener('click', () => handleExport('csv'));
+    document.getElementById('exportJsonBtn').addEventListener('click', () => handleExport('json'));
+
+    loadHistory();
+});
+
+/**
+ * Enable the date inputs for a custom range and reload
+ */
+function handleRangeChange() {
+    const custom = document.getElementById('rangeSelect').value === 'custom';
+    document.getElementById('rangeFrom').disabled = !custom;
+    document.getElementById('rangeTo').disabled = !custom;
+    loadHistory();
+}
+
+/**
+ * Get the selected range as timestamps; whole local days from the first day's midnight
+ * @returns {{from: number, to: number}|null} - null if the custom range is incomplete or reversed
+ */
+function getSelectedRange() {
+    const selected = document.getElementById('rangeSelect').value;
+    if (selected !== 'custom') {
+        const start = new Date();
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() - (parseInt(selected) - 1));
+        return { from: start.getTime(), to: Date.now() };
+    }
+
+    const fromValue = document.getElementById('rangeFrom').value;
+    const toValue = document.getElementById('rangeTo').value;
+    if (!fromValue || !toValue) return null;
+    const from = new Date(`${fromValue}T00:00:00`).getTime();
+    const to = new Date(`${toValue}T23:59:59.999`).getTime();
+    return from <= to ? { from: from, to: to } : null;
+}
+
+/**
+ * Load the history of the selected range from the background and redraw
+ */
+async function loadHistory() {
+    const range = getSelectedRange();
+    if (!range) {
+        showMessage('Pick a start date on or before the end date', true);
+        return;
+    }
+
+    try {
+        showMessage('Loading...');
+        const response = await sendMessageToBackground({ command: 'getHistory', range: range });
+        if (!response || response.status === 'error') {
+            throw new Error((response && response.error) || 'No response');
+        }
+        historyData = response;
+        dayKeys = getDayKeys(range.from, range.to);
+        renderDashboard();
+        showMessage(`${historyData.entries.length} log entries, ${historyData.followRecords.length} tracked follows, ` +
+                    `${historyData.blockEvents.length} action blocks`);
+    } catch (error) {
+        console.error('Error loading history:', error);
+        showMessage(`Failed to load history: ${error.message}`, true);
+    }
+}
+
+/**
+ * Draw the charts or the table, and the per-source breakdown
+ */
+function renderDashboard() {
+    if (!historyData) return;
+    const rows = summarizeByDay(historyData, dayKeys);
+
+    document.getElementById('chartView').hidden = showTable;
+    document.getElementById('tableView').hidden = !showTable;
+    document.getElementById('viewToggleBtn').textContent = showTable ? 'Show Charts' : 'Show Table';
+
+    if (showTable) {
+        renderDailyTable(rows);
+    } else {
+        renderBarChart(document.getElementById('actionsChart'), rows, [
+            { label: 'Follows', color: SERIES_COLORS.follow, values: rows.map(row => row.follows) },
+            { label: 'Unfollows', color: SERIES_COLORS.unfollow, values: rows.map(row => row.unfollows) }
+        ]);
+        renderBarChart(document.getElementById('problemsChart'), rows, [
+            { label: 'Skipped', color: SERIES_COLORS.skipped, values: rows.map(row => row.skipped) },
+            { label: 'Failed', color: SERIES_COLORS.failed, values: rows.map(row => row.failed) }
+        ]);
+        renderBarChart(document.getElementById('blocksChart'), rows, [
+            { label: 'Action blocks', color: SERIES_COLORS.blocks, values: rows.map(row => row.blocks) }
+        ]);
+        renderRateChart(document.getElementById('followBackChart'), rows);
+    }
+    renderSourceTable(summarizeBySource(historyData.entries));
+
+    const completed = rows.reduce((sum, row) => sum + row.follows + row.unfollows, 0);
+    document.getElementById('dashboardSummary').textContent = `${completed} actions in ${rows.length} days`;
+}
+
+// --- Aggregation ---
+
+/**
+ * Local calendar day of a timestamp
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+function toDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Every local day between two timestamps, oldest first
+ */
+function getDayKeys(from, to) {
+    const keys = [];
+    const day = new Date(from);
+    day.setHours(0, 0, 0, 0);
+    while (day.getTime() <= to) {
+        keys.push(toDayKey(day.getTime()));
+        day.setDate(day.getDate() + 1); // Calendar step, so days stay aligned across DST changes
+    }
+    return keys;
+}
+
+/**
+ * Count the history per day
+ * @returns {object[]} - One row per day: completed follows/unfollows, skips, failures,
+ *                       action blocks, follows made and how many of those followed back
+ */
+function summarizeByDay(data, keys) {
+    const rows = new Map(keys.map(day => [day, {
+        day: day, follows: 0, unfollows: 0, skipped: 0, failed: 0, blocks: 0, followed: 0, followedBack: 0
+    }]));
+    const rowAt = timestamp => rows.get(toDayKey(timestamp));
+
+    data.entries.forEach(entry => {
+        const row = rowAt(entry.timestamp);
+        if (!row) return;
+        if (entry.outcome === 'completed') {
+            if (entry.actionType === 'follow') row.follows++;
+            if (entry.actionType === 'unfollow') row.unfollows++;
+        } else if (entry.outcome === 'skipped') {
+            row.skipped++;
+        } else if (entry.outcome === 'failed') {
+            row.failed++;
+        }
+    });
+    data.blockEvents.forEach(event => {
+        const row = rowAt(event.timestamp);
+        if (row) row.blocks++;
+    });
+    data.followRecords.forEach(record => {
+        const row = rowAt(record.followedAt);
+        if (!row) return;
+        row.followed++;
+        if (record.followedBackAt || record.followsBack) row.followedBack++;
+    });
+
+    return keys.map(day => rows.get(day));
+}
+
+/**
+ * Name the source of a ledger entry from the page it happened on
+ */
+function getEntrySource(pageUrl) {
+    const listMatch = (pageUrl || '').match(/instagram\.com\/([^/?#]+)\/(followers|following)\b/);
+    if (listMatch) {
+        return `${listMatch[2] === 'followers' ? 'Followers' : 'Following'} of @${listMatch[1]}`;
+    }
+    if (/instagram\.com\/[^/?#]+\/?(?:[?#]|$)/.test(pageUrl || '')) {
+        return 'Profile pages (username lists)';
+    }
+    return 'Other pages';
+}
+
+/**
+ * Count the ledger entries per source, busiest source first
+ */
+function summarizeBySource(entries) {
+    const sources = new Map();
+    entries.forEach(entry => {
+        const name = getEntrySource(entry.pageUrl);
+        if (!sources.has(name)) {
+            sources.set(name, { name: name, follows: 0, unfollows: 0, skipped: 0, failed: 0, blocked: 0 });
+        }
+        const source = sources.get(name);
+        if (entry.outcome === 'completed') {
+            source[entry.actionType === 'follow' ? 'follows' : 'unfollows']++;
+        } else if (source[entry.outcome] !== undefined) {
+            source[entry.outcome]++;
+        }
+    });
+    const total = source => source.follows + source.unfollows + source.skipped + source.failed + source.blocked;
+    return [...sources.values()].sort((a, b) => total(b) - total(a));
+}
+
+/**
+ * Format a follow-back rate
+ */
+function formatRate(row) {
+    return row.followed ? `${Math.round(row.followedBack / row.followed * 100)}%` : '-';
+}
+
+// --- Charts ---
+
+/**
+ * Create an SVG element with attributes
+ */
+function svgElement(tag, attributes = {}) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+/**
+ * Create the chart frame: axes, the top value and a few day labels
+ * @param {object[]} rows - One row per day
+ * @param {number} maxValue - Value at the top of the chart
+ * @param {string} maxLabel - Label of that value
+ * @returns {{svg: SVGElement, slot: number, x: function, y: function}}
+ */
+function createChartFrame(rows, maxValue, maxLabel) {
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const bottom = CHART_PADDING.top + plotHeight;
+    const svg = svgElement('svg', { viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`, role: 'img' });
+
+    svg.appendChild(svgElement('line', { class: 'chart-axis', x1: CHART_PADDING.left, y1: bottom, x2: CHART_WIDTH - CHART_PADDING.right, y2: bottom }));
+    svg.appendChild(svgElement('line', { class: 'chart-axis', x1: CHART_PADDING.left, y1: CHART_PADDING.top, x2: CHART_PADDING.left, y2: bottom }));
+    [[maxLabel, CHART_PADDING.top + 4], ['0', bottom]].forEach(([text, y]) => {
+        const label = svgElement('text', { class: 'chart-label', x: CHART_PADDING.left - 4, y: y, 'text-anchor': 'end' });
+        label.textContent = text;
+        svg.appendChild(label);
+    });
+
+    const slot = plotWidth / rows.length;
+    const labelled = new Set([0, Math.floor((rows.length - 1) / 2), rows.length - 1]);
+    labelled.forEach(index => {
+        const label = svgElement('text', {
+            class: 'chart-label',
+            x: CHART_PADDING.left + slot * (index + 0.5),
+            y: CHART_HEIGHT - 6,
+            'text-anchor': 'middle'
+        });
+        label.textContent = rows[index].day.slice(5); // MM-DD
+        svg.appendChild(label);
+    });
+
+    return {
+        svg: svg,
+        slot: slot,
+        x: index => CHART_PADDING.left + slot * index,
+        y: value => bottom - (value / maxValue) * plotHeight
+    };
+}
+
+/**
+ * Create the legend of a chart
+ */
+function createLegend(series) {
+    const legend = document.createElement('div');
+    legend.className = 'chart-legend';
+    series.forEach(item => {
+        const entry = document.createElement('span');
+        const swatch = document.createElement('span');
+        swatch.className = 'chart-swatch';
+        swatch.style.background = item.color;
+        entry.append(swatch, item.label);
+        legend.appendChild(entry);
+    });
+    return legend;
+}
+
+/**
+ * Show a placeholder instead of an empty chart
+ */
+function showEmptyChart(container, text = 'Nothing recorded in this range') {
+    const empty = document.createElement('div');
+    empty.className = 'chart-empty';
+    empty.textContent = text;
+    container.appendChild(empty);
+}
+
+/**
+ * Draw stacked bars per day
+ * @param {HTMLElement} container
+ * @param {object[]} rows - One row per day
+ * @param {object[]} series - { label, color, values } with one value per day, stacked in order
+ */
+function renderBarChart(container, rows, series) {
+    container.textContent = '';
+    const totals = rows.map((row, index) => series.reduce((sum, item) => sum + item.values[index], 0));
+    const maxValue = Math.max(0, ...totals);
+    if (maxValue === 0) {
+        showEmptyChart(container);
+        return;
+    }
+
+    const frame = createChartFrame(rows, maxValue, String(maxValue));
+    const barWidth = Math.max(frame.slot * 0.7, 1);
+    rows.forEach((row, index) => {
+        let stacked = 0;
+        series.forEach(item => {
+            const value = item.values[index];
+            if (!value) return;
+            const bar = svgElement('rect', {
+                x: frame.x(index) + (frame.slot - barWidth) / 2,
+                y: frame.y(stacked + value),
+                width: barWidth,
+                height: frame.y(stacked) - frame.y(stacked + value),
+                fill: item.color
+            });
+            const title = svgElement('title');
+            title.textContent = `${row.day}: ${value} ${item.label.toLowerCase()}`;
+            bar.appendChild(title);
+            frame.svg.appendChild(bar);
+            stacked += value;
+        });
+    });
+    container.append(frame.svg, createLegend(series));
+}
+
+/**
+ * Draw the follow-back rate per follow day; days without follows are left out of the line
+ */
+function renderRateChart(container, rows) {
+    container.textContent = '';
+    if (!rows.some(row => row.followed > 0)) {
+        showEmptyChart(container, 'No tracked follows in this range');
+        return;
+    }
+
+    const frame = createChartFrame(rows, 1, '100%');
+    const points = [];
+    rows.forEach((row, index) => {
+        if (!row.followed) return;
+        const x = frame.x(index) + frame.slot / 2;
+        const y = frame.y(row.followedBack / row.followed);
+        points.push(`${points.length === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`);
+        const point = svgElement('circle', { cx: x, cy: y, r: 3, fill: '#8b5cf6' });
+        const title = svgElement('title');
+        title.textContent = `${row.day}: ${row.followedBack} of ${row.followed} followed back (${formatRate(row)})`;
+        point.appendChild(title);
+        frame.svg.appendChild(point);
+    });
+    frame.svg.insertBefore(svgElement('path', { class: 'chart-line', d: points.join(' ') }), frame.svg.firstChild);
+    container.appendChild(frame.svg);
+}
+
+// --- Tables ---
+
+/**
+ * Fill a table from a header row and data rows
+ */
+function fillTable(table, headers, rows) {
+    table.textContent = '';
+    const head = table.createTHead().insertRow();
+    headers.forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        head.appendChild(cell);
+    });
+    const body = table.createTBody();
+    rows.forEach(values => {
+        const row = body.insertRow();
+        values.forEach(value => {
+            row.insertCell().textContent = value;
+        });
+    });
+}
+
+/**
+ * Table view of the per-day numbers, newest day first
+ */
+function renderDailyTable(rows) {
+    fillTable(document.getElementById('dailyTable'),
+        ['Day', 'Follows', 'Unfollows', 'Skipped', 'Failed', 'Blocks', 'Followed back'],
+        rows.slice().reverse().map(row => [
+            row.day, row.follows, row.unfollows, row.skipped, row.failed, row.blocks,
+            row.followed ? `${row.followedBack} / ${row.followed} (${formatRate(row)})` : '-'
+        ]));
+}
+
+/**
+ * Table of the per-source breakdown
+ */
+function renderSourceTable(sources) {
+    const table = document.getElementById('sourceTable');
+    table.parentElement.querySelectorAll('.chart-empty').forEach(element => element.remove());
+    table.textContent = '';
+    if (sources.length === 0) {
+        showEmptyChart(table.parentElement);
+        return;
+    }
+    fillTable(table, ['Source', 'Follows', 'Unfollows', 'Skipped', 'Failed', 'Blocked'],
+        sources.map(source => [source.name, source.follows, source.unfollows, source.skipped, source.failed, source.blocked]));
+}
+
+// --- Export ---
+
+/**
+ * Download the history of the selected range as CSV or JSON (built by the background)
+ */
+async function handleExport(format) {
+    const range = getSelectedRange();
+    if (!range) {
+        showMessage('Pick a start date on or before the end date', true);
+        return;
+    }
+
+    try {
+        const actionType = document.getElementById('exportActionType').value;
+        const response = await sendMessageToBackground({
+            command: 'exportHistory',
+            query: { from: range.from, to: range.to, actionType: actionType || null },
+            format: format
+        });
+        if (!response || !response.file) {
+            throw new Error(response && response.error ? response.error : 'Export failed');
+        }
+
+        const blob = new Blob([response.file.content], { type: response.file.mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `instagram-automation-history-${toDayKey(range.from)}_${toDayKey(range.to)}` +
+                        `${actionType ? `-${actionType}` : ''}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showMessage(`Exported ${response.file.count} entries as ${format.toUpperCase()}`);
+    } catch (error) {
+        console.error('Error exporting history:', error);
+        showMessage(`Export failed: ${error.message}`, true);
+    }
+}
+
+/**
+ * Show a message under the range controls
+ */
+function showMessage(message, isError = false) {
+    const element = document.getElementById('dashboardMessage');
+    element.textContent = message;
+    element.classList.toggle('error', isError);
+}
+
+/**
+ * Send message to background script
+ */
+function sendMessageToBackground(message) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage(message, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+            } else {
+                resolve(response);
+            }
+        });
+    });
+}
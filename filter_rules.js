@@ -0,0 +1,51 @@
+// filter_rules.js
+// Parser for the follow filter rule lists (username and full name includes/excludes).
+// A list holds keywords (case-insensitive substrings) and /regex/flags entries, separated
+// by commas or newlines; a comma inside a /regex/ belongs to the expression.
+// Loaded by the content script (before content_script.js), which applies the rules, and by
+// the popup, options page and background service worker, which validate them.
+
+// Flags that make RegExp.test() remember its last position; a rule must give the same
+// answer for every row, so they are dropped
+const STATEFUL_REGEX_FLAGS = /[gy]/g;
+
+// A /regex/flags entry at the start of the remaining text, ending at a separator or the end.
+// The body is matched lazily, so "/a/, /b/" stays two rules while "/a{1,2}/" stays one.
+const REGEX_RULE_PATTERN = /^\s*\/((?:\\.|[^\\\n])+?)\/([a-z]*)\s*(?:[,\n]|$)/;
+
+/**
+ * Parses a rule list.
+ * @param {string} text
+ * @returns {{rules: {label: string, test: function(string): boolean}[], invalid: {label: string, error: string}[]}} -
+ *          The usable rules, and the regular expressions that don't compile.
+ */
+function parseFilterRules(text) {
+    const rules = [];
+    const invalid = [];
+    let rest = String(text || '');
+
+    while (rest.trim()) {
+        const regexMatch = rest.match(REGEX_RULE_PATTERN);
+        if (regexMatch) {
+            const label = `/${regexMatch[1]}/${regexMatch[2]}`;
+            try {
+                const regex = new RegExp(regexMatch[1], regexMatch[2].replace(STATEFUL_REGEX_FLAGS, ''));
+                rules.push({ label: label, test: value => regex.test(value) });
+            } catch (error) {
+                invalid.push({ label: label, error: error.message });
+            }
+            rest = rest.slice(regexMatch[0].length);
+            continue;
+        }
+
+        const separator = rest.search(/[,\n]/);
+        const entry = (separator === -1 ? rest : rest.slice(0, separator)).trim();
+        rest = separator === -1 ? '' : rest.slice(separator + 1);
+        if (entry) {
+            const keyword = entry.toLowerCase();
+            rules.push({ label: entry, test: value => value.toLowerCase().includes(keyword) });
+        }
+    }
+
+    return { rules: rules, invalid: invalid };
+}
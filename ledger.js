@@ -0,0 +1,258 @@
+// ledger.js
+// Persistent action ledger for the Instagram automation extension.
+// Every follow/unfollow attempt reported by the content script is stored here
+// (IndexedDB) so past activity can be queried long after the session ended.
+// A second store tracks accounts followed by the extension and whether they followed back.
+// Loaded by the background service worker through importScripts().
+
+const LEDGER_DB_NAME = 'instagramAutomationLedger';
+const LEDGER_DB_VERSION = 2;
+const LEDGER_STORE = 'actions';
+const FOLLOWS_STORE = 'follows'; // One record per account followed by the extension, keyed by username
+
+// --- Ledger Outcomes ---
+const LEDGER_OUTCOMES = {
+    COMPLETED: 'completed',
+    SKIPPED: 'skipped',
+    FAILED: 'failed',
+    BLOCKED: 'blocked'
+};
+
+let ledgerDbPromise = null;
+
+/**
+ * Opens (and creates/upgrades if needed) the ledger database.
+ * The connection is cached for the lifetime of the worker/page.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openLedgerDb() {
+    if (ledgerDbPromise) return ledgerDbPromise;
+
+    ledgerDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(LEDGER_DB_NAME, LEDGER_DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            if (event.oldVersion < 1) {
+                const store = db.createObjectStore(LEDGER_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('timestamp', 'timestamp');
+                store.createIndex('username', 'username');
+            }
+            if (event.oldVersion < 2) {
+                const follows = db.createObjectStore(FOLLOWS_STORE, { keyPath: 'username' });
+                follows.createIndex('followedAt', 'followedAt');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            ledgerDbPromise = null; // Allow a retry on the next call
+            reject(request.error);
+        };
+    });
+
+    return ledgerDbPromise;
+}
+
+/**
+ * Wraps an IDBRequest in a promise.
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Appends one entry to the ledger.
+ * @param {object} entry - { username, actionType, timestamp, pageUrl, outcome, relationship, reason, details }
+ * @returns {Promise<number>} - Resolves with the id of the stored entry.
+ */
+async function addLedgerEntry(entry) {
+    const db = await openLedgerDb();
+    const record = {
+        username: entry.username || null,
+        actionType: entry.actionType || null,
+        timestamp: entry.timestamp || Date.now(),
+        pageUrl: entry.pageUrl || null,
+        outcome: entry.outcome,
+        relationship: entry.relationship || null, // 'following' or 'requested' (private, pending)
+        reason: entry.reason || null,
+        details: entry.details || null
+    };
+    const store = db.transaction(LEDGER_STORE, 'readwrite').objectStore(LEDGER_STORE);
+    return promisifyRequest(store.add(record));
+}
+
+/**
+ * Queries the ledger, newest entries first.
+ * @param {object} [query]
+ * @param {number} [query.from] - Earliest timestamp (inclusive).
+ * @param {number} [query.to] - Latest timestamp (inclusive).
+ * @param {string} [query.actionType] - 'follow' or 'unfollow'.
+ * @param {string} [query.outcome] - One of LEDGER_OUTCOMES.
+ * @param {string} [query.username] - Case-insensitive substring of the username.
+ * @param {number} [query.limit] - Maximum number of entries to return.
+ * @returns {Promise<object[]>}
+ */
+async function queryLedger(query = {}) {
+    const db = await openLedgerDb();
+    const index = db.transaction(LEDGER_STORE, 'readonly').objectStore(LEDGER_STORE).index('timestamp');
+
+    const from = query.from !== undefined ? query.from : 0;
+    const to = query.to !== undefined ? query.to : Number.MAX_SAFE_INTEGER;
+    const usernameFilter = query.username ? query.username.toLowerCase() : null;
+    const limit = query.limit || Infinity;
+
+    return new Promise((resolve, reject) => {
+        const results = [];
+        const cursorRequest = index.openCursor(IDBKeyRange.bound(from, to), 'prev');
+
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor || results.length >= limit) {
+                resolve(results);
+                return;
+            }
+            const entry = cursor.value;
+            const matches = (!query.actionType || entry.actionType === query.actionType) &&
+                            (!query.outcome || entry.outcome === query.outcome) &&
+                            (!usernameFilter || (entry.username || '').toLowerCase().includes(usernameFilter));
+            if (matches) {
+                results.push(entry);
+            }
+            cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+}
+
+// --- Follow-back Tracking ---
+
+/**
+ * Records a follow made by the extension. Following an account again restarts its tracking.
+ * @param {string} username - Lowercase username.
+ * @param {number} [timestamp] - When the follow happened.
+ * @returns {Promise<void>}
+ */
+async function recordFollow(username, timestamp = Date.now()) {
+    const db = await openLedgerDb();
+    const store = db.transaction(FOLLOWS_STORE, 'readwrite').objectStore(FOLLOWS_STORE);
+    await promisifyRequest(store.put({
+        username: username,
+        followedAt: timestamp,
+        followsBack: false, // As of the last check against the followers list
+        followedBackAt: null, // First time the account was seen among our followers
+        lastCheckedAt: null,
+        unfollowedAt: null
+    }));
+}
+
+/**
+ * Marks a tracked account as unfollowed. Accounts the extension never followed are ignored.
+ * @param {string} username - Lowercase username.
+ * @param {number} [timestamp] - When the unfollow happened.
+ * @returns {Promise<void>}
+ */
+async function recordUnfollow(username, timestamp = Date.now()) {
+    const db = await openLedgerDb();
+    const store = db.transaction(FOLLOWS_STORE, 'readwrite').objectStore(FOLLOWS_STORE);
+    const record = await promisifyRequest(store.get(username));
+    if (record && !record.unfollowedAt) {
+        record.unfollowedAt = timestamp;
+        await promisifyRequest(store.put(record));
+    }
+}
+
+/**
+ * Updates the follow-back state of every tracked, still-followed account from a followers list.
+ * A list not known to be complete only proves follow-backs: accounts missing from it keep
+ * their state and are not counted as checked.
+ * @param {string[]} followerUsernames - Lowercase usernames of our current followers.
+ * @param {number} [timestamp] - When the list was taken.
+ * @param {boolean} [complete=true] - Whether the list is known to hold every follower.
+ * @returns {Promise<{checked: number, followingBack: number}>}
+ */
+async function applyFollowersList(followerUsernames, timestamp = Date.now(), complete = true) {
+    const db = await openLedgerDb();
+    const followers = new Set(followerUsernames);
+    const store = db.transaction(FOLLOWS_STORE, 'readwrite').objectStore(FOLLOWS_STORE);
+
+    return new Promise((resolve, reject) => {
+        const summary = { checked: 0, followingBack: 0 };
+        const cursorRequest = store.openCursor();
+
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) {
+                resolve(summary);
+                return;
+            }
+            const record = cursor.value;
+            if (!record.unfollowedAt && (complete || followers.has(record.username))) {
+                record.followsBack = followers.has(record.username);
+                if (record.followsBack && !record.followedBackAt) {
+                    record.followedBackAt = timestamp;
+                }
+                record.lastCheckedAt = timestamp;
+                cursor.update(record);
+                summary.checked++;
+                if (record.followsBack) summary.followingBack++;
+            }
+            cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+}
+
+/**
+ * Gets all accounts followed by the extension, oldest follow first.
+ * @returns {Promise<object[]>}
+ */
+async function getFollowRecords() {
+    const db = await openLedgerDb();
+    const index = db.transaction(FOLLOWS_STORE, 'readonly').objectStore(FOLLOWS_STORE).index('followedAt');
+    return promisifyRequest(index.getAll());
+}
+
+// --- History Export ---
+// Columns of CSV and JSON history exports, in order. This layout is documented in the README:
+// later versions may add columns at the end but never rename, reorder or remove one.
+const HISTORY_EXPORT_FORMAT = 'instagramAutomationHistory';
+const HISTORY_EXPORT_VERSION = 1;
+const HISTORY_EXPORT_COLUMNS = ['timestamp', 'username', 'action', 'outcome', 'reason', 'source_url', 'details'];
+
+/**
+ * Converts a ledger entry into an export row keyed by HISTORY_EXPORT_COLUMNS.
+ * Missing values become empty strings so every row has every column.
+ * @param {object} entry - A ledger entry.
+ * @returns {object}
+ */
+function toHistoryExportRow(entry) {
+    return {
+        timestamp: new Date(entry.timestamp).toISOString(), // UTC, ISO 8601
+        username: entry.username || '',
+        action: entry.actionType || '',
+        outcome: entry.outcome || '',
+        reason: entry.reason || '',
+        source_url: entry.pageUrl || '',
+        details: entry.details || ''
+    };
+}
+
+/**
+ * Formats export rows as CSV (RFC 4180: header row, CRLF line breaks, quoted where needed).
+ * Usernames, reasons and details come from Instagram pages or the user, so a cell a spreadsheet
+ * would run as a formula (starting with =, +, -, @, tab or CR) is prefixed with an apostrophe.
+ * @param {object[]} rows - Rows from toHistoryExportRow().
+ * @returns {string}
+ */
+function formatHistoryCsv(rows) {
+    const escape = value => {
+        const text = /^[=+\-@\t\r]/.test(String(value)) ? `'${value}` : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [HISTORY_EXPORT_COLUMNS.join(',')];
+    rows.forEach(row => lines.push(HISTORY_EXPORT_COLUMNS.map(column => escape(row[column])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+}
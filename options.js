@@ -0,0 +1,370 @@
+/**
+ * options.js - Instagram Automation Extension Options Page Logic
+ * Shows every setting in the schema (settings_schema.js) grouped into sections, validates
+ * inline with the same rules as the popup and shows the values the background is using
+ */
+
+// Settings per section, in display order; together they cover every key of SETTINGS_SCHEMA
+const OPTION_SECTIONS = [
+    {
+        title: 'Limits',
+        keys: ['dailyLimit', 'dailyFollowLimit', 'dailyUnfollowLimit', 'hourlyFollowLimit', 'hourlyUnfollowLimit',
+               'actionsPerBatch', 'budgetWindow', 'budgetTimeZone']
+    },
+    {
+        title: 'Timing',
+        keys: ['intervalMin', 'intervalMax', 'pauseBetweenBatchesMin', 'pauseBetweenBatchesMax',
+               'scheduleEnabled', 'scheduleMode', 'scheduleWindows']
+    },
+    {
+        title: 'Filters',
+        keys: ['followFilterUsernameInclude', 'followFilterUsernameExclude', 'followFilterFullNameInclude',
+               'followFilterFullNameExclude', 'followFilterSkipVerified', 'followFilterSkipNoPicture',
+               'inspectProfiles', 'profileCacheHours', 'metricMinFollowers', 'metricMaxFollowers',
+               'metricMaxFollowing', 'metricMinPosts', 'metricMaxFollowingRatio', 'metricSkipPrivate', 'metricSkipEmptyBio']
+    },
+    {
+        title: 'Lists',
+        keys: ['unfollowSource', 'unfollowAfterDays', 'unfollowNonFollowers', 'unfollowPrivate', 'unfollowPrivateMode',
+               'ownUsername', 'followBackCheckHours', 'doNotFollowDays']
+    },
+    {
+        title: 'Safety',
+        keys: ['blockCooldownHours', 'blockCooldownMultiplier', 'blockRepeatWindowDays',
+               'blockLimitReductionPercent', 'blockLimitReductionDays', 'uiLocale']
+    },
+    {
+        title: 'Notifications',
+        keys: ['notifySessionCompleted', 'notifyDailyLimit', 'notifyActionBlocked', 'notifyConnectionLost', 'notifyBatchPause']
+    }
+];
+
+// Short explanations shown under a setting
+const OPTION_HINTS = {
+    dailyLimit: 'Follows and unfollows together.',
+    dailyFollowLimit: '0 = only the combined limit applies.',
+    dailyUnfollowLimit: '0 = only the combined limit applies.',
+    hourlyFollowLimit: 'Within any rolling hour. 0 = off.',
+    hourlyUnfollowLimit: 'Within any rolling hour. 0 = off.',
+    budgetTimeZone: 'IANA name such as Europe/Bucharest; empty = browser local time. Also used for working hours.',
+    intervalMin: 'Seconds between two actions.',
+    intervalMax: 'Seconds between two actions.',
+    pauseBetweenBatchesMin: 'Seconds of rest after each batch.',
+    pauseBetweenBatchesMax: 'Seconds of rest after each batch.',
+    scheduleWindows: 'One line per set of days, e.g. "Mon-Fri 09:00-12:00, 18:00-21:00".',
+    followFilterUsernameInclude: 'Comma separated keywords, or /regular expressions/.',
+    followFilterUsernameExclude: 'Comma separated keywords, or /regular expressions/.',
+    followFilterFullNameInclude: 'Comma separated keywords, or /regular expressions/.',
+    followFilterFullNameExclude: 'Comma separated keywords, or /regular expressions/.',
+    inspectProfiles: 'Fetch each profile before acting and apply the thresholds below (0 = off).',
+    unfollowAfterDays: 'Used by the "no follow-back" source.',
+    unfollowNonFollowers: 'Only unfollow accounts missing from the followers snapshot.',
+    ownUsername: 'Needed for the follow-back check.',
+    followBackCheckHours: '0 = never check.',
+    doNotFollowDays: 'Accounts unfollowed this recently are never followed again. 0 = forever.',
+    blockCooldownMultiplier: 'Each further block within the repeated block window multiplies the cooldown.',
+    blockLimitReductionPercent: 'Every limit is reduced by this much for the limit reduction days after a block.',
+    uiLocale: 'Used to recognise Follow/Following buttons.',
+    notifySessionCompleted: 'Clicking a notification brings the automation tab to the front.'
+};
+
+// Display names of the allowed values of select settings
+const OPTION_VALUE_LABELS = {
+    budgetWindow: { calendarDay: 'Calendar day', rolling24h: 'Last 24 hours' },
+    scheduleMode: { campaign: 'The queued campaign', unfollowFollowing: 'Unfollow from my Following list' },
+    unfollowSource: { list: 'Accounts in the open list', noFollowBack: 'Extension follows without a follow-back' },
+    unfollowPrivateMode: { only: 'Only private accounts', exclude: 'Never private accounts' },
+    uiLocale: { auto: 'Auto-detect from page', en: 'English', ro: 'Română', de: 'Deutsch', es: 'Español' }
+};
+
+// Settings whose effective value comes from the daily budget (lowered for a while after an action block)
+const BUDGET_LIMITS = {
+    dailyLimit: budget => budget.limit,
+    dailyFollowLimit: budget => budget.byType.follow.limit,
+    dailyUnfollowLimit: budget => budget.byType.unfollow.limit,
+    hourlyFollowLimit: budget => budget.byType.follow.hourlyLimit,
+    hourlyUnfollowLimit: budget => budget.byType.unfollow.hourlyLimit
+};
+
+// State variables
+const inputs = {}; // Input element per setting
+let savedSettings = {}; // Settings the background holds
+let currentBudget = null; // Daily budget from the last status
+
+/**
+ * Initialize the options page when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+    renderSections();
+
+    document.getElementById('optionSections').addEventListener('input', handleFormInput);
+    document.getElementById('optionSections').addEventListener('change', handleFormInput);
+    document.getElementById('optionsSaveBtn').addEventListener('click', handleSave);
+    document.getElementById('optionsRevertBtn').addEventListener('click', () => {
+        fillForm(savedSettings);
+        handleFormInput();
+    });
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type === 'statusUpdate') {
+            applyStatus(message.payload);
+            sendResponse({ received: true });
+        }
+        return true;
+    });
+
+    try {
+        const status = await sendMessageToBackground({ command: 'getStatus' });
+        applyStatus(status);
+        fillForm(savedSettings);
+        handleFormInput();
+        await loadActivePreset();
+    } catch (error) {
+        console.error('Error loading settings:', error);
+        showMessage('Failed to load settings from the background', true);
+    }
+});
+
+/**
+ * Build one section per OPTION_SECTIONS entry
+ */
+function renderSections() {
+    const container = document.getElementById('optionSections');
+    OPTION_SECTIONS.forEach(section => {
+        const element = document.createElement('div');
+        element.className = 'section';
+        const title = document.createElement('h2');
+        title.textContent = section.title;
+        const grid = document.createElement('div');
+        grid.className = 'option-grid';
+        section.keys.forEach(key => grid.appendChild(createField(key)));
+        element.append(title, grid);
+        container.appendChild(element);
+    });
+}
+
+/**
+ * Create the label, input, hint, effective value and error line of one setting
+ */
+function createField(key) {
+    const field = SETTINGS_SCHEMA[key];
+    const group = document.createElement('div');
+    group.className = 'form-group option-field';
+    group.dataset.key = key;
+
+    let input;
+    if (field.type === 'boolean') {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        label.append(input, field.label);
+        group.appendChild(label);
+    } else {
+        const label = document.createElement('label');
+        label.textContent = `${field.label}:`;
+        const valueLabels = OPTION_VALUE_LABELS[key];
+        if (valueLabels) {
+            input = document.createElement('select');
+            Object.entries(valueLabels).forEach(([value, text]) => input.add(new Option(text, value)));
+        } else if (field.type === 'number') {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.min = field.min;
+            input.max = field.max;
+            input.step = field.integer ? '1' : 'any';
+        } else if (field.maxLength > 100) {
+            input = document.createElement('textarea');
+            group.classList.add('option-wide');
+        } else {
+            input = document.createElement('input');
+            input.type = 'text';
+        }
+        input.id = `option-${key}`;
+        label.htmlFor = input.id;
+        group.append(label, input);
+    }
+    inputs[key] = input;
+
+    if (OPTION_HINTS[key]) {
+        const hint = document.createElement('div');
+        hint.className = 'form-hint';
+        hint.textContent = OPTION_HINTS[key];
+        group.appendChild(hint);
+    }
+    const effective = document.createElement('div');
+    effective.className = 'option-effective';
+    const error = document.createElement('div');
+    error.className = 'option-error';
+    group.append(effective, error);
+    return group;
+}
+
+/**
+ * Put settings into the form
+ */
+function fillForm(values) {
+    Object.entries(inputs).forEach(([key, input]) => {
+        if (values[key] === undefined) return;
+        if (input.type === 'checkbox') {
+            input.checked = values[key];
+        } else {
+            input.value = values[key];
+        }
+    });
+}
+
+/**
+ * Read every setting from the form; numbers that can't be read stay NaN so validation reports them
+ */
+function readForm() {
+    const values = {};
+    Object.entries(inputs).forEach(([key, input]) => {
+        const field = SETTINGS_SCHEMA[key];
+        if (field.type === 'boolean') {
+            values[key] = input.checked;
+        } else if (field.type === 'number') {
+            values[key] = input.value.trim() === '' ? NaN : Number(input.value);
+        } else {
+            values[key] = input.value.trim();
+        }
+    });
+    values.ownUsername = values.ownUsername.replace(/^@/, '').toLowerCase();
+    return values;
+}
+
+/**
+ * Validate the form and refresh the per-setting lines and buttons
+ */
+function handleFormInput() {
+    const values = readForm();
+    const { valid, errors } = checkSettings(values);
+    const changedKeys = Object.keys(values).filter(key => !isSameValue(values[key], savedSettings[key]));
+
+    Object.entries(inputs).forEach(([key, input]) => {
+        const group = input.closest('.option-field');
+        group.querySelector('.option-error').textContent = errors[key] || '';
+        input.classList.toggle('field-invalid', Boolean(errors[key]));
+    });
+    updateEffectiveValues(changedKeys);
+
+    document.getElementById('optionsSaveBtn').disabled = !valid || changedKeys.length === 0;
+    document.getElementById('optionsRevertBtn').disabled = changedKeys.length === 0;
+    if (!valid) {
+        showMessage(`${Object.keys(errors).length} setting(s) need fixing before saving`, true);
+    } else {
+        showMessage(changedKeys.length > 0 ? `${changedKeys.length} unsaved change(s)` : 'No unsaved changes');
+    }
+}
+
+/**
+ * Show the value the background is using under each setting
+ * @param {string[]} changedKeys - Settings whose form value differs from the saved one
+ */
+function updateEffectiveValues(changedKeys) {
+    Object.entries(inputs).forEach(([key, input]) => {
+        const line = input.closest('.option-field').querySelector('.option-effective');
+        if (savedSettings[key] === undefined) {
+            line.textContent = '';
+            return;
+        }
+        let text = `In use: ${formatValue(key, savedSettings[key])}`;
+        const effective = currentBudget && BUDGET_LIMITS[key] ? BUDGET_LIMITS[key](currentBudget) : savedSettings[key];
+        if (effective !== savedSettings[key]) {
+            text = `In use: ${formatValue(key, effective)} (reduced from ${formatValue(key, savedSettings[key])} after an action block)`;
+        }
+        line.textContent = text;
+        line.classList.toggle('changed', changedKeys.includes(key));
+    });
+}
+
+/**
+ * Format a setting value for display
+ */
+function formatValue(key, value) {
+    if (typeof value === 'boolean') return value ? 'On' : 'Off';
+    if (OPTION_VALUE_LABELS[key] && OPTION_VALUE_LABELS[key][value]) return OPTION_VALUE_LABELS[key][value];
+    if (value === '') return key === 'budgetTimeZone' ? 'Browser local time' : '(empty)';
+    if (typeof value === 'string' && value.includes('\n')) return `${value.split('\n').length} lines`;
+    return String(value);
+}
+
+/**
+ * Compare a form value with a saved one
+ */
+function isSameValue(formValue, savedValue) {
+    return formValue === savedValue || (Number.isNaN(formValue) && Number.isNaN(savedValue));
+}
+
+/**
+ * Take settings and budget from a background status
+ */
+function applyStatus(status) {
+    if (!status || !status.settings) return;
+    savedSettings = status.settings;
+    currentBudget = status.budget || null;
+    handleFormInput();
+}
+
+/**
+ * Save the form through the background, which checks the settings again
+ */
+async function handleSave() {
+    const saveBtn = document.getElementById('optionsSaveBtn');
+    saveBtn.disabled = true;
+
+    try {
+        const values = readForm();
+        const response = await sendMessageToBackground({ command: 'saveSettings', settings: values });
+        if (response && response.status === 'acknowledged') {
+            savedSettings = { ...savedSettings, ...values };
+            handleFormInput();
+            showMessage('Settings saved');
+        } else {
+            Object.entries((response && response.fieldErrors) || {}).forEach(([key, message]) => {
+                if (!inputs[key]) return;
+                inputs[key].closest('.option-field').querySelector('.option-error').textContent = message;
+                inputs[key].classList.add('field-invalid');
+            });
+            showMessage((response && response.error) || 'Failed to save settings', true);
+            saveBtn.disabled = false;
+        }
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        showMessage('Failed to save settings', true);
+        saveBtn.disabled = false;
+    }
+}
+
+/**
+ * Show which preset saving will update
+ */
+async function loadActivePreset() {
+    const response = await sendMessageToBackground({ command: 'getPresets' });
+    const active = response && response.presets && response.presets.find(preset => preset.id === response.activeId);
+    document.getElementById('optionsPreset').textContent = active ? `Preset: ${active.name}` : 'No preset active';
+}
+
+/**
+ * Show a message in the save bar
+ */
+function showMessage(message, isError = false) {
+    const element = document.getElementById('optionsMessage');
+    element.textContent = message;
+    element.classList.toggle('error', isError);
+}
+
+/**
+ * Send message to background script
+ */
+function sendMessageToBackground(message) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage(message, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+            } else {
+                resolve(response);
+            }
+        });
+    });
+}
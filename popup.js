@@ -10,6 +10,9 @@ const elements = {
     statusDot: document.getElementById('statusDot'),
     statusText: document.getElementById('statusText'),
     statusDetails: document.getElementById('statusDetails'),
+    cooldownBanner: document.getElementById('cooldownBanner'),
+    cooldownText: document.getElementById('cooldownText'),
+    cooldownOverrideBtn: document.getElementById('cooldownOverrideBtn'),
     
     // Count displays
     sessionCount: document.getElementById('sessionCount'),
@@ -17,6 +20,18 @@ const elements = {
     targetCount: document.getElementById('targetCount'),
     currentIndex: document.getElementById('currentIndex'),
     
+    // Presets
+    presetSelect: document.getElementById('presetSelect'),
+    presetName: document.getElementById('presetName'),
+    presetCreateBtn: document.getElementById('presetCreateBtn'),
+    presetRenameBtn: document.getElementById('presetRenameBtn'),
+    presetDuplicateBtn: document.getElementById('presetDuplicateBtn'),
+    presetDeleteBtn: document.getElementById('presetDeleteBtn'),
+    presetExportBtn: document.getElementById('presetExportBtn'),
+    presetExportAllBtn: document.getElementById('presetExportAllBtn'),
+    presetImportBtn: document.getElementById('presetImportBtn'),
+    presetImportFile: document.getElementById('presetImportFile'),
+    
     // Form inputs
     followRadio: document.getElementById('followRadio'),
     unfollowRadio: document.getElementById('unfollowRadio'),
@@ -24,18 +39,145 @@ const elements = {
     intervalMax: document.getElementById('intervalMax'),
     actionsPerBatch: document.getElementById('actionsPerBatch'),
     dailyLimit: document.getElementById('dailyLimit'),
+    dailyFollowLimit: document.getElementById('dailyFollowLimit'),
+    dailyUnfollowLimit: document.getElementById('dailyUnfollowLimit'),
+    hourlyFollowLimit: document.getElementById('hourlyFollowLimit'),
+    hourlyUnfollowLimit: document.getElementById('hourlyUnfollowLimit'),
     pauseMin: document.getElementById('pauseMin'),
     pauseMax: document.getElementById('pauseMax'),
+    uiLocale: document.getElementById('uiLocale'),
+    budgetWindow: document.getElementById('budgetWindow'),
+    budgetTimeZone: document.getElementById('budgetTimeZone'),
+    budgetInfo: document.getElementById('budgetInfo'),
+    blockCooldownHours: document.getElementById('blockCooldownHours'),
+    blockLimitReductionPercent: document.getElementById('blockLimitReductionPercent'),
+    unfollowNonFollowers: document.getElementById('unfollowNonFollowers'),
+    unfollowPrivate: document.getElementById('unfollowPrivate'),
+    unfollowPrivateMode: document.getElementById('unfollowPrivateMode'),
+    unfollowSource: document.getElementById('unfollowSource'),
+    followFilterUsernameInclude: document.getElementById('followFilterUsernameInclude'),
+    followFilterUsernameExclude: document.getElementById('followFilterUsernameExclude'),
+    followFilterFullNameInclude: document.getElementById('followFilterFullNameInclude'),
+    followFilterFullNameExclude: document.getElementById('followFilterFullNameExclude'),
+    followFilterSkipVerified: document.getElementById('followFilterSkipVerified'),
+    followFilterSkipNoPicture: document.getElementById('followFilterSkipNoPicture'),
+    inspectProfiles: document.getElementById('inspectProfiles'),
+    metricMinFollowers: document.getElementById('metricMinFollowers'),
+    metricMaxFollowers: document.getElementById('metricMaxFollowers'),
+    metricMaxFollowing: document.getElementById('metricMaxFollowing'),
+    metricMinPosts: document.getElementById('metricMinPosts'),
+    metricMaxFollowingRatio: document.getElementById('metricMaxFollowingRatio'),
+    metricSkipPrivate: document.getElementById('metricSkipPrivate'),
+    metricSkipEmptyBio: document.getElementById('metricSkipEmptyBio'),
+    profileCacheHours: document.getElementById('profileCacheHours'),
+    scheduleEnabled: document.getElementById('scheduleEnabled'),
+    scheduleMode: document.getElementById('scheduleMode'),
+    scheduleWindows: document.getElementById('scheduleWindows'),
+    scheduleInfo: document.getElementById('scheduleInfo'),
+    scheduleLog: document.getElementById('scheduleLog'),
+    unfollowAfterDays: document.getElementById('unfollowAfterDays'),
     
     // Control buttons
     startBtn: document.getElementById('startBtn'),
-    stopBtn: document.getElementById('stopBtn')
+    stopBtn: document.getElementById('stopBtn'),
+    previewBtn: document.getElementById('previewBtn'),
+    
+    // Preview
+    previewSection: document.getElementById('previewSection'),
+    previewCount: document.getElementById('previewCount'),
+    previewSummary: document.getElementById('previewSummary'),
+    previewList: document.getElementById('previewList'),
+    previewExcludedDetails: document.getElementById('previewExcludedDetails'),
+    previewExcludedList: document.getElementById('previewExcludedList'),
+    previewSelectAllBtn: document.getElementById('previewSelectAllBtn'),
+    previewSelectNoneBtn: document.getElementById('previewSelectNoneBtn'),
+    previewStartBtn: document.getElementById('previewStartBtn'),
+    
+    // Username list
+    usernameListCount: document.getElementById('usernameListCount'),
+    usernameListInput: document.getElementById('usernameListInput'),
+    usernameListLoadBtn: document.getElementById('usernameListLoadBtn'),
+    usernameListStartBtn: document.getElementById('usernameListStartBtn'),
+    usernameListFile: document.getElementById('usernameListFile'),
+    usernameListProgress: document.getElementById('usernameListProgress'),
+    usernameListResults: document.getElementById('usernameListResults'),
+    
+    // Campaign
+    campaignCount: document.getElementById('campaignCount'),
+    campaignSourceType: document.getElementById('campaignSourceType'),
+    campaignSourceActionGroup: document.getElementById('campaignSourceActionGroup'),
+    campaignSourceAction: document.getElementById('campaignSourceAction'),
+    campaignSourceInputGroup: document.getElementById('campaignSourceInputGroup'),
+    campaignSourceInputLabel: document.getElementById('campaignSourceInputLabel'),
+    campaignSourceInput: document.getElementById('campaignSourceInput'),
+    campaignAddBtn: document.getElementById('campaignAddBtn'),
+    campaignList: document.getElementById('campaignList'),
+    campaignStartBtn: document.getElementById('campaignStartBtn'),
+    
+    // Non-followers
+    followersSnapshotCount: document.getElementById('followersSnapshotCount'),
+    followingSnapshotCount: document.getElementById('followingSnapshotCount'),
+    nonFollowerDetails: document.getElementById('nonFollowerDetails'),
+    refreshFollowersBtn: document.getElementById('refreshFollowersBtn'),
+    refreshFollowingBtn: document.getElementById('refreshFollowingBtn'),
+    
+    // Follow-back tracking
+    followBackTracked: document.getElementById('followBackTracked'),
+    followBackCount: document.getElementById('followBackCount'),
+    followBackDue: document.getElementById('followBackDue'),
+    ownUsername: document.getElementById('ownUsername'),
+    followBackCheckHours: document.getElementById('followBackCheckHours'),
+    followBackDetails: document.getElementById('followBackDetails'),
+    checkFollowBacksBtn: document.getElementById('checkFollowBacksBtn'),
+    
+    // Protected accounts
+    protectedCount: document.getElementById('protectedCount'),
+    protectedInput: document.getElementById('protectedInput'),
+    protectedAddBtn: document.getElementById('protectedAddBtn'),
+    protectedList: document.getElementById('protectedList'),
+    
+    // Do-not-follow list
+    doNotFollowCount: document.getElementById('doNotFollowCount'),
+    doNotFollowDays: document.getElementById('doNotFollowDays'),
+    doNotFollowInput: document.getElementById('doNotFollowInput'),
+    doNotFollowAddBtn: document.getElementById('doNotFollowAddBtn'),
+    doNotFollowList: document.getElementById('doNotFollowList'),
+    
+    // Selector pack
+    selectorPackInfo: document.getElementById('selectorPackInfo'),
+    selectorImportBtn: document.getElementById('selectorImportBtn'),
+    selectorImportFile: document.getElementById('selectorImportFile'),
+    selectorResetBtn: document.getElementById('selectorResetBtn'),
+    selectorTestBtn: document.getElementById('selectorTestBtn'),
+    selectorTestResults: document.getElementById('selectorTestResults'),
+    
+    // Action log
+    ledgerDate: document.getElementById('ledgerDate'),
+    ledgerUsername: document.getElementById('ledgerUsername'),
+    ledgerActionType: document.getElementById('ledgerActionType'),
+    ledgerOutcome: document.getElementById('ledgerOutcome'),
+    ledgerSearchBtn: document.getElementById('ledgerSearchBtn'),
+    ledgerList: document.getElementById('ledgerList'),
+    openOptionsBtn: document.getElementById('openOptionsBtn'),
+    openDashboardBtn: document.getElementById('openDashboardBtn')
+};
+
+// Maximum number of ledger entries shown in the popup
+const LEDGER_PAGE_SIZE = 50;
+
+// Settings whose input id differs from the setting name (the rest use the setting name)
+const SETTING_INPUT_IDS = {
+    pauseBetweenBatchesMin: 'pauseMin',
+    pauseBetweenBatchesMax: 'pauseMax'
 };
 
 // State variables
 let currentSettings = {};
 let currentStatus = {};
 let isLoading = false;
+let protectedAccounts = new Set();
+let previewActionType = null; // Action type the shown preview was made for
+let campaignSources = []; // Sources queued for the next campaign
 
 /**
  * Initialize the popup when DOM is loaded
@@ -49,8 +191,35 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Load initial data
     await loadSettingsAndStatus();
     
+    // Load the settings presets
+    await loadPresets();
+    
     // Set up message listener for background script updates
     setupMessageListener();
+    
+    // Load the protected accounts whitelist
+    await loadProtectedAccounts();
+    
+    // Load the do-not-follow list
+    await loadDoNotFollow();
+    
+    // Load the queued campaign sources
+    await loadCampaign();
+    
+    // Load the recent working-hours windows
+    await loadScheduleLog();
+    
+    // Load the followers/following snapshot summary
+    await loadNonFollowerStats();
+    
+    // Load the follow-back tracking summary
+    await loadFollowBackStats();
+    
+    // Load the active selector pack
+    await loadSelectorPack();
+    
+    // Show the most recent ledger entries
+    await handleLedgerSearch();
 });
 
 /**
@@ -58,14 +227,81 @@ document.addEventListener('DOMContentLoaded', async () => {
  */
 function setupEventListeners() {
     // Control buttons
-    elements.startBtn.addEventListener('click', handleStartAutomation);
+    elements.startBtn.addEventListener('click', () => handleStartAutomation());
+    elements.previewBtn.addEventListener('click', handlePreview);
+    elements.cooldownOverrideBtn.addEventListener('click', handleCooldownOverride);
+    
+    // Preview selection
+    elements.previewSelectAllBtn.addEventListener('click', () => setPreviewSelection(true));
+    elements.previewSelectNoneBtn.addEventListener('click', () => setPreviewSelection(false));
+    elements.previewStartBtn.addEventListener('click', handleStartWithSelected);
+    elements.previewList.addEventListener('change', updatePreviewSelection);
     elements.stopBtn.addEventListener('click', handleStopAutomation);
+    elements.openOptionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    elements.openDashboardBtn.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') }));
+    
+    // Presets
+    elements.presetSelect.addEventListener('change', handleActivatePreset);
+    elements.presetCreateBtn.addEventListener('click', () => handlePresetCommand('createPreset', { name: elements.presetName.value }));
+    elements.presetRenameBtn.addEventListener('click', () => handlePresetCommand('renamePreset', { name: elements.presetName.value }));
+    elements.presetDuplicateBtn.addEventListener('click', () => handlePresetCommand('duplicatePreset'));
+    elements.presetDeleteBtn.addEventListener('click', handleDeletePreset);
+    elements.presetExportBtn.addEventListener('click', () => handleExportPresets(elements.presetSelect.value));
+    elements.presetExportAllBtn.addEventListener('click', () => handleExportPresets(null));
+    elements.presetImportBtn.addEventListener('click', () => elements.presetImportFile.click());
+    elements.presetImportFile.addEventListener('change', handleImportPresets);
+    
+    // Username list
+    elements.usernameListInput.addEventListener('input', updateUsernameListCount);
+    elements.usernameListLoadBtn.addEventListener('click', () => elements.usernameListFile.click());
+    elements.usernameListFile.addEventListener('change', handleUsernameListFile);
+    elements.usernameListStartBtn.addEventListener('click', handleStartOnList);
+    
+    // Campaign
+    elements.campaignSourceType.addEventListener('change', updateCampaignSourceForm);
+    elements.campaignAddBtn.addEventListener('click', handleAddCampaignSource);
+    elements.campaignStartBtn.addEventListener('click', handleStartCampaign);
+    
+    // Non-followers snapshots
+    elements.refreshFollowersBtn.addEventListener('click', () => handleRefreshSnapshot('refreshFollowersSnapshot', elements.refreshFollowersBtn));
+    elements.refreshFollowingBtn.addEventListener('click', () => handleRefreshSnapshot('refreshFollowingSnapshot', elements.refreshFollowingBtn));
+    
+    // Follow-back tracking
+    elements.checkFollowBacksBtn.addEventListener('click', handleCheckFollowBacks);
+    
+    // Protected accounts
+    elements.protectedAddBtn.addEventListener('click', handleAddProtectedAccounts);
+    
+    // Do-not-follow list
+    elements.doNotFollowAddBtn.addEventListener('click', handleAddDoNotFollow);
+    
+    // Selector pack
+    elements.selectorImportBtn.addEventListener('click', () => elements.selectorImportFile.click());
+    elements.selectorImportFile.addEventListener('change', handleSelectorPackImport);
+    elements.selectorResetBtn.addEventListener('click', handleSelectorPackReset);
+    elements.selectorTestBtn.addEventListener('click', handleSelectorSelfTest);
+    
+    // Action log
+    elements.ledgerSearchBtn.addEventListener('click', handleLedgerSearch);
     
     // Settings input changes - debounced save
     const settingsInputs = [
         elements.intervalMin, elements.intervalMax, elements.actionsPerBatch,
         elements.dailyLimit, elements.pauseMin, elements.pauseMax,
-        elements.followRadio, elements.unfollowRadio
+        elements.dailyFollowLimit, elements.dailyUnfollowLimit,
+        elements.hourlyFollowLimit, elements.hourlyUnfollowLimit,
+        elements.blockCooldownHours, elements.blockLimitReductionPercent,
+        elements.followRadio, elements.unfollowRadio, elements.unfollowNonFollowers,
+        elements.unfollowPrivate, elements.unfollowPrivateMode, elements.uiLocale,
+        elements.budgetWindow, elements.budgetTimeZone, elements.unfollowSource,
+        elements.unfollowAfterDays, elements.ownUsername, elements.followBackCheckHours,
+        elements.doNotFollowDays, elements.followFilterUsernameInclude, elements.followFilterUsernameExclude,
+        elements.followFilterFullNameInclude, elements.followFilterFullNameExclude,
+        elements.followFilterSkipVerified, elements.followFilterSkipNoPicture,
+        elements.inspectProfiles, elements.metricMinFollowers, elements.metricMaxFollowers,
+        elements.metricMaxFollowing, elements.metricMinPosts, elements.metricMaxFollowingRatio,
+        elements.metricSkipPrivate, elements.metricSkipEmptyBio, elements.profileCacheHours,
+        elements.scheduleEnabled, elements.scheduleMode, elements.scheduleWindows
     ];
     
     settingsInputs.forEach(input => {
@@ -129,6 +365,137 @@ async function loadSettingsAndStatus() {
     }
 }
 
+/**
+ * Load the settings presets from background
+ */
+async function loadPresets() {
+    try {
+        const response = await sendMessageToBackground({ command: 'getPresets' });
+        if (response && response.presets) {
+            renderPresets(response);
+        }
+    } catch (error) {
+        console.error('Error loading presets:', error);
+    }
+}
+
+/**
+ * Fill the preset picker; the active preset is selected
+ */
+function renderPresets({ presets, activeId }) {
+    elements.presetSelect.replaceChildren();
+    if (!activeId) {
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = presets.length > 0 ? '(none: custom settings)' : '(no presets yet)';
+        elements.presetSelect.appendChild(none);
+    }
+    presets.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = preset.name;
+        elements.presetSelect.appendChild(option);
+    });
+    elements.presetSelect.value = activeId || '';
+    
+    const active = presets.find(preset => preset.id === activeId);
+    elements.presetName.value = active ? active.name : '';
+    [elements.presetRenameBtn, elements.presetDuplicateBtn, elements.presetDeleteBtn, elements.presetExportBtn]
+        .forEach(button => { button.disabled = !active; });
+    elements.presetExportAllBtn.disabled = presets.length === 0;
+    resetPresetDeleteButton();
+}
+
+/**
+ * Send a preset command for the selected preset and show the updated list
+ */
+async function handlePresetCommand(command, extra = {}) {
+    try {
+        const response = await sendMessageToBackground({ command: command, id: elements.presetSelect.value, ...extra });
+        if (!response || !response.presets) {
+            throw new Error(response && response.error ? response.error : 'Preset update failed');
+        }
+        renderPresets(response);
+    } catch (error) {
+        console.error(`Error in ${command}:`, error);
+        showError(error.message);
+    }
+}
+
+/**
+ * Handle picking a preset: its settings replace the current ones
+ */
+async function handleActivatePreset() {
+    if (!elements.presetSelect.value) return;
+    await handlePresetCommand('activatePreset');
+    await loadSettingsAndStatus();
+}
+
+/**
+ * Handle deleting the selected preset; requires a second click to confirm
+ */
+async function handleDeletePreset() {
+    if (!elements.presetDeleteBtn.classList.contains('confirming')) {
+        elements.presetDeleteBtn.classList.add('confirming');
+        elements.presetDeleteBtn.textContent = 'Click to confirm';
+        return;
+    }
+    await handlePresetCommand('deletePreset');
+    resetPresetDeleteButton();
+}
+
+/**
+ * Return the delete button to its unconfirmed state
+ */
+function resetPresetDeleteButton() {
+    elements.presetDeleteBtn.classList.remove('confirming');
+    elements.presetDeleteBtn.textContent = 'Delete';
+}
+
+/**
+ * Download one preset (or all of them) as a JSON file
+ * @param {string|null} id - The preset to export; null for all presets
+ */
+async function handleExportPresets(id) {
+    try {
+        const response = await sendMessageToBackground({ command: 'exportPresets', id: id || null });
+        if (!response || !response.file) {
+            throw new Error(response && response.error ? response.error : 'Export failed');
+        }
+        
+        const baseName = id && response.file.presets.length === 1 ?
+            response.file.presets[0].name.replace(/[^\w.-]+/g, '_') : 'all';
+        const blob = new Blob([JSON.stringify(response.file, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `instagram-automation-preset-${baseName}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        console.error('Error exporting presets:', error);
+        showError(error.message);
+    }
+}
+
+/**
+ * Handle importing presets from a JSON file (validated by the background)
+ */
+async function handleImportPresets() {
+    const file = elements.presetImportFile.files[0];
+    elements.presetImportFile.value = ''; // Allow re-importing the same file
+    if (!file) return;
+    
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (parseError) {
+        showError('File is not valid JSON');
+        return;
+    }
+    await handlePresetCommand('importPresets', { file: data });
+}
+
 /**
  * Update the settings UI with current values
  */
@@ -137,8 +504,47 @@ function updateSettingsUI(settings) {
     elements.intervalMax.value = settings.intervalMax || 10;
     elements.actionsPerBatch.value = settings.actionsPerBatch || 10;
     elements.dailyLimit.value = settings.dailyLimit || 100;
+    elements.dailyFollowLimit.value = settings.dailyFollowLimit || 0;
+    elements.dailyUnfollowLimit.value = settings.dailyUnfollowLimit || 0;
+    elements.hourlyFollowLimit.value = settings.hourlyFollowLimit || 0;
+    elements.hourlyUnfollowLimit.value = settings.hourlyUnfollowLimit || 0;
     elements.pauseMin.value = Math.floor((settings.pauseBetweenBatchesMin || 300) / 60);
     elements.pauseMax.value = Math.floor((settings.pauseBetweenBatchesMax || 600) / 60);
+    elements.uiLocale.value = settings.uiLocale || 'auto';
+    elements.budgetWindow.value = settings.budgetWindow || 'calendarDay';
+    elements.budgetTimeZone.value = settings.budgetTimeZone || '';
+    elements.blockCooldownHours.value = settings.blockCooldownHours || 24;
+    elements.blockLimitReductionPercent.value = settings.blockLimitReductionPercent !== undefined ? settings.blockLimitReductionPercent : 50;
+    elements.unfollowNonFollowers.checked = !!settings.unfollowNonFollowers;
+    elements.unfollowPrivate.checked = !!settings.unfollowPrivate;
+    elements.unfollowPrivateMode.value = settings.unfollowPrivateMode || 'only';
+    elements.unfollowPrivateMode.disabled = !settings.unfollowPrivate;
+    elements.unfollowSource.value = settings.unfollowSource || 'list';
+    elements.unfollowAfterDays.value = settings.unfollowAfterDays || 7;
+    elements.unfollowAfterDays.disabled = elements.unfollowSource.value !== 'noFollowBack';
+    elements.ownUsername.value = settings.ownUsername || '';
+    elements.followBackCheckHours.value = settings.followBackCheckHours !== undefined ? settings.followBackCheckHours : 24;
+    elements.doNotFollowDays.value = settings.doNotFollowDays || 0;
+    elements.followFilterUsernameInclude.value = settings.followFilterUsernameInclude || '';
+    elements.followFilterUsernameExclude.value = settings.followFilterUsernameExclude || '';
+    elements.followFilterFullNameInclude.value = settings.followFilterFullNameInclude || '';
+    elements.followFilterFullNameExclude.value = settings.followFilterFullNameExclude || '';
+    elements.followFilterSkipVerified.checked = !!settings.followFilterSkipVerified;
+    elements.followFilterSkipNoPicture.checked = !!settings.followFilterSkipNoPicture;
+    elements.inspectProfiles.checked = !!settings.inspectProfiles;
+    elements.metricMinFollowers.value = settings.metricMinFollowers || 0;
+    elements.metricMaxFollowers.value = settings.metricMaxFollowers || 0;
+    elements.metricMaxFollowing.value = settings.metricMaxFollowing || 0;
+    elements.metricMinPosts.value = settings.metricMinPosts || 0;
+    elements.metricMaxFollowingRatio.value = settings.metricMaxFollowingRatio || 0;
+    elements.metricSkipPrivate.checked = !!settings.metricSkipPrivate;
+    elements.metricSkipEmptyBio.checked = !!settings.metricSkipEmptyBio;
+    elements.profileCacheHours.value = settings.profileCacheHours || 24;
+    elements.scheduleEnabled.checked = !!settings.scheduleEnabled;
+    elements.scheduleMode.value = settings.scheduleMode || 'campaign';
+    elements.scheduleWindows.value = settings.scheduleWindows || '';
+    // The time zone applies to calendar-day budgets and to the working hours
+    elements.budgetTimeZone.disabled = elements.budgetWindow.value !== 'calendarDay' && !elements.scheduleEnabled.checked;
     
     console.log('Settings UI updated with:', settings);
 }
@@ -164,6 +570,11 @@ function updateStatusDisplay(status) {
     
     // Update detailed status
     elements.statusDetails.textContent = status.statusText || 'Ready to start automation';
+    updateBudgetDisplay(status.budget, isActive || isPaused ? status.actionType : null);
+    updateCooldownDisplay(status.cooldown);
+    updateListRunDisplay(status.listRun);
+    renderCampaign();
+    updateScheduleDisplay(status.schedule);
     
     // Update button states
     updateButtonStates(isActive, isPaused);
@@ -171,6 +582,100 @@ function updateStatusDisplay(status) {
     console.log('Status display updated:', status);
 }
 
+/**
+ * Show the remaining daily budgets, the hourly caps and which limit ends the session first
+ * @param {object} budget - Budget summary from the background
+ * @param {string|null} runningType - Action type of the running session, if any
+ */
+function updateBudgetDisplay(budget, runningType) {
+    if (!budget) {
+        elements.budgetInfo.textContent = '';
+        return;
+    }
+    const windowLabel = budget.window === 'rolling24h' ? 'last 24h' : 'today';
+    let text = `${budget.remaining} of ${budget.limit} actions left (${windowLabel}).`;
+    if (budget.nextFreeAt) {
+        const verb = budget.window === 'rolling24h' ? 'Next slot frees' : 'Resets';
+        text += ` ${verb} ${new Date(budget.nextFreeAt).toLocaleString()}.`;
+    }
+    
+    const lines = [text];
+    ['follow', 'unfollow'].forEach(type => {
+        const typeBudget = budget.byType && budget.byType[type];
+        if (!typeBudget) return;
+        const label = type === 'follow' ? 'Follows' : 'Unfollows';
+        let line = typeBudget.limit ?
+            `${label}: ${typeBudget.remaining} of ${typeBudget.limit} left` :
+            `${label}: ${typeBudget.used} done`;
+        if (typeBudget.hourlyLimit) {
+            line += `, ${typeBudget.hourlyRemaining} of ${typeBudget.hourlyLimit} this hour`;
+            if (typeBudget.hourlyFreeAt) {
+                line += ` (next at ${new Date(typeBudget.hourlyFreeAt).toLocaleTimeString()})`;
+            }
+        }
+        lines.push(line + '.');
+    });
+    
+    const type = runningType || (elements.followRadio.checked ? 'follow' : 'unfollow');
+    const typeBudget = budget.byType && budget.byType[type];
+    if (typeBudget) {
+        const stopsFirst = typeBudget.limit && typeBudget.remaining < budget.remaining ?
+            `the ${type} limit (${typeBudget.remaining} left)` :
+            `the combined limit (${budget.remaining} left)`;
+        lines.push(`A ${type} session stops first at ${stopsFirst}` +
+            (typeBudget.hourlyLimit ? '; the hourly cap only pauses it.' : '.'));
+    }
+    elements.budgetInfo.textContent = lines.join('\n');
+}
+
+/**
+ * Show or hide the action-block lockout banner
+ */
+function updateCooldownDisplay(cooldown) {
+    if (!cooldown || !cooldown.isLocked) {
+        elements.cooldownBanner.hidden = true;
+        resetCooldownOverrideButton();
+        return;
+    }
+    
+    const until = new Date(cooldown.lockedUntil).toLocaleString();
+    elements.cooldownText.textContent = `Locked after ${cooldown.recentBlockCount} action block(s) until ${until}. ` +
+        `Daily limit reduced to ${cooldown.effectiveDailyLimit}.`;
+    elements.cooldownBanner.hidden = false;
+}
+
+/**
+ * Handle the lockout override; requires a second click to confirm
+ */
+async function handleCooldownOverride() {
+    if (!elements.cooldownOverrideBtn.classList.contains('confirming')) {
+        elements.cooldownOverrideBtn.classList.add('confirming');
+        elements.cooldownOverrideBtn.textContent = 'Click again to override (logged)';
+        return;
+    }
+    
+    try {
+        const response = await sendMessageToBackground({ command: 'overrideCooldown' });
+        if (!response || response.status === 'error') {
+            throw new Error(response && response.error ? response.error : 'Override failed');
+        }
+        updateStatusDisplay(response);
+    } catch (error) {
+        console.error('Error overriding cooldown:', error);
+        showError('Failed to override lockout');
+    } finally {
+        resetCooldownOverrideButton();
+    }
+}
+
+/**
+ * Return the override button to its unconfirmed state
+ */
+function resetCooldownOverrideButton() {
+    elements.cooldownOverrideBtn.classList.remove('confirming');
+    elements.cooldownOverrideBtn.textContent = 'Override Lockout';
+}
+
 /**
  * Get CSS class for status dot based on automation state
  */
@@ -199,6 +704,8 @@ function updateButtonStates(isActive, isPaused) {
     
     elements.startBtn.disabled = isRunning || isLoading;
     elements.stopBtn.disabled = !isRunning || isLoading;
+    elements.previewBtn.disabled = isRunning || isLoading;
+    elements.previewStartBtn.disabled = isRunning || isLoading || getSelectedPreviewUsernames().length === 0;
     
     // Update button text based on state
     if (isLoading) {
@@ -222,8 +729,10 @@ function updateLoadingState(loading) {
 
 /**
  * Handle start automation button click
+ * @param {string[]|null} [approvedUsernames] - Limit the run to these accounts (from a preview)
+ * @param {string[]|null} [usernameList] - Visit these profiles instead of working through the open list
  */
-async function handleStartAutomation() {
+async function handleStartAutomation(approvedUsernames = null, usernameList = null) {
     try {
         const actionType = elements.followRadio.checked ? 'follow' : 'unfollow';
         
@@ -239,7 +748,9 @@ async function handleStartAutomation() {
         updateLoadingState(true);
         const response = await sendMessageToBackground({
             command: 'startAutomation',
-            actionType: actionType
+            actionType: actionType,
+            approvedUsernames: approvedUsernames,
+            usernameList: usernameList
         });
         
         if (response && response.status === 'acknowledged') {
@@ -256,6 +767,143 @@ async function handleStartAutomation() {
     }
 }
 
+/**
+ * Handle preview button click: dry-run scan of the open list
+ */
+async function handlePreview() {
+    const actionType = elements.followRadio.checked ? 'follow' : 'unfollow';
+    elements.previewBtn.disabled = true;
+    elements.previewBtn.innerHTML = '<span class="btn-icon">⏳</span>Scanning...';
+    
+    try {
+        // Preview with the settings currently in the form
+        await handleSettingsChange();
+        
+        const response = await sendMessageToBackground({
+            command: 'previewTargets',
+            actionType: actionType
+        });
+        if (!response || response.status !== 'previewed') {
+            throw new Error(response && response.error ? response.error : 'Preview failed');
+        }
+        
+        previewActionType = actionType;
+        renderPreview(response);
+        
+    } catch (error) {
+        console.error('Error previewing targets:', error);
+        showError(error.message);
+    } finally {
+        elements.previewBtn.innerHTML = '<span class="btn-icon">🔍</span>Preview';
+        updateButtonStates(currentStatus.isActive, currentStatus.isPausedForBatch);
+    }
+}
+
+/**
+ * Render preview candidates with checkboxes (all selected by default)
+ */
+function renderPreview(preview) {
+    elements.previewList.replaceChildren();
+    
+    preview.targets.forEach(target => {
+        const item = document.createElement('li');
+        const label = document.createElement('label');
+        label.className = 'preview-item';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.value = target.username;
+        
+        const name = document.createElement('span');
+        name.textContent = `@${target.username}`;
+        
+        label.append(checkbox, name);
+        if (target.relationship === 'requested') {
+            const note = document.createElement('span');
+            note.className = 'preview-item-note';
+            note.textContent = 'requested';
+            label.appendChild(note);
+        }
+        item.appendChild(label);
+        elements.previewList.appendChild(item);
+    });
+    
+    // List every excluded account with the rule that excluded it
+    elements.previewExcludedList.replaceChildren();
+    preview.excluded.forEach(exclusion => {
+        const item = document.createElement('li');
+        item.className = 'preview-item excluded';
+        
+        const name = document.createElement('span');
+        name.textContent = `@${exclusion.username}`;
+        
+        const note = document.createElement('span');
+        note.className = 'preview-item-note';
+        note.textContent = exclusion.details || exclusion.reason;
+        
+        item.append(name, note);
+        elements.previewExcludedList.appendChild(item);
+    });
+    elements.previewExcludedDetails.hidden = preview.excluded.length === 0;
+    
+    // Summarize exclusions by reason
+    const reasons = {};
+    preview.excluded.forEach(exclusion => {
+        reasons[exclusion.reason] = (reasons[exclusion.reason] || 0) + 1;
+    });
+    const reasonText = Object.entries(reasons).map(([reason, count]) => `${reason}: ${count}`).join(', ');
+    elements.previewSummary.textContent = `${preview.targets.length} accounts to ${previewActionType}` +
+        (preview.excluded.length > 0 ? `, ${preview.excluded.length} excluded (${reasonText})` : '') + '.';
+    
+    elements.previewSection.hidden = false;
+    updatePreviewSelection();
+}
+
+/**
+ * Get the usernames ticked in the preview list
+ */
+function getSelectedPreviewUsernames() {
+    return Array.from(elements.previewList.querySelectorAll('input[type="checkbox"]:checked'))
+        .map(checkbox => checkbox.value);
+}
+
+/**
+ * Tick or untick every account in the preview list
+ */
+function setPreviewSelection(selected) {
+    elements.previewList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = selected;
+    });
+    updatePreviewSelection();
+}
+
+/**
+ * Refresh the selected count and the start button for the preview
+ */
+function updatePreviewSelection() {
+    const selectedCount = getSelectedPreviewUsernames().length;
+    elements.previewCount.textContent = selectedCount;
+    elements.previewStartBtn.textContent = `Start with Selected (${selectedCount})`;
+    updateButtonStates(currentStatus.isActive, currentStatus.isPausedForBatch);
+}
+
+/**
+ * Start a run limited to the accounts approved in the preview
+ */
+async function handleStartWithSelected() {
+    const approved = getSelectedPreviewUsernames();
+    if (approved.length === 0) {
+        showError('Select at least one account');
+        return;
+    }
+    
+    // The selection only makes sense for the action type it was previewed with
+    elements.followRadio.checked = previewActionType === 'follow';
+    elements.unfollowRadio.checked = previewActionType === 'unfollow';
+    await handleStartAutomation(approved);
+}
+
 /**
  * Handle stop automation button click
  */
@@ -278,6 +926,55 @@ async function handleStopAutomation() {
     }
 }
 
+/**
+ * Read every setting from the form, in the units the background stores
+ */
+function collectFormSettings() {
+    return {
+        intervalMin: parseInt(elements.intervalMin.value) || 5,
+        intervalMax: parseInt(elements.intervalMax.value) || 10,
+        actionsPerBatch: parseInt(elements.actionsPerBatch.value) || 10,
+        dailyLimit: parseInt(elements.dailyLimit.value) || 100,
+        dailyFollowLimit: Math.max(parseInt(elements.dailyFollowLimit.value) || 0, 0),
+        dailyUnfollowLimit: Math.max(parseInt(elements.dailyUnfollowLimit.value) || 0, 0),
+        hourlyFollowLimit: Math.max(parseInt(elements.hourlyFollowLimit.value) || 0, 0),
+        hourlyUnfollowLimit: Math.max(parseInt(elements.hourlyUnfollowLimit.value) || 0, 0),
+        pauseBetweenBatchesMin: (parseInt(elements.pauseMin.value) || 5) * 60,
+        pauseBetweenBatchesMax: (parseInt(elements.pauseMax.value) || 10) * 60,
+        unfollowNonFollowers: elements.unfollowNonFollowers.checked,
+        unfollowPrivate: elements.unfollowPrivate.checked,
+        unfollowPrivateMode: elements.unfollowPrivateMode.value,
+        unfollowSource: elements.unfollowSource.value,
+        unfollowAfterDays: parseInt(elements.unfollowAfterDays.value) || 7,
+        ownUsername: elements.ownUsername.value.trim().replace(/^@/, '').toLowerCase(),
+        followBackCheckHours: Math.max(parseInt(elements.followBackCheckHours.value) || 0, 0),
+        doNotFollowDays: Math.max(parseInt(elements.doNotFollowDays.value) || 0, 0),
+        followFilterUsernameInclude: elements.followFilterUsernameInclude.value.trim(),
+        followFilterUsernameExclude: elements.followFilterUsernameExclude.value.trim(),
+        followFilterFullNameInclude: elements.followFilterFullNameInclude.value.trim(),
+        followFilterFullNameExclude: elements.followFilterFullNameExclude.value.trim(),
+        followFilterSkipVerified: elements.followFilterSkipVerified.checked,
+        followFilterSkipNoPicture: elements.followFilterSkipNoPicture.checked,
+        inspectProfiles: elements.inspectProfiles.checked,
+        metricMinFollowers: Math.max(parseInt(elements.metricMinFollowers.value) || 0, 0),
+        metricMaxFollowers: Math.max(parseInt(elements.metricMaxFollowers.value) || 0, 0),
+        metricMaxFollowing: Math.max(parseInt(elements.metricMaxFollowing.value) || 0, 0),
+        metricMinPosts: Math.max(parseInt(elements.metricMinPosts.value) || 0, 0),
+        metricMaxFollowingRatio: Math.max(parseFloat(elements.metricMaxFollowingRatio.value) || 0, 0),
+        metricSkipPrivate: elements.metricSkipPrivate.checked,
+        metricSkipEmptyBio: elements.metricSkipEmptyBio.checked,
+        profileCacheHours: Math.max(parseInt(elements.profileCacheHours.value) || 24, 1),
+        scheduleEnabled: elements.scheduleEnabled.checked,
+        scheduleMode: elements.scheduleMode.value,
+        scheduleWindows: elements.scheduleWindows.value.trim(),
+        uiLocale: elements.uiLocale.value,
+        budgetWindow: elements.budgetWindow.value,
+        budgetTimeZone: elements.budgetTimeZone.value.trim(),
+        blockCooldownHours: parseInt(elements.blockCooldownHours.value) || 24,
+        blockLimitReductionPercent: Math.min(Math.max(parseInt(elements.blockLimitReductionPercent.value) || 0, 0), 90)
+    };
+}
+
 /**
  * Handle settings changes and save to background
  */
@@ -285,14 +982,10 @@ async function handleSettingsChange() {
     if (isLoading) return;
     
     try {
-        const newSettings = {
-            intervalMin: parseInt(elements.intervalMin.value) || 5,
-            intervalMax: parseInt(elements.intervalMax.value) || 10,
-            actionsPerBatch: parseInt(elements.actionsPerBatch.value) || 10,
-            dailyLimit: parseInt(elements.dailyLimit.value) || 100,
-            pauseBetweenBatchesMin: (parseInt(elements.pauseMin.value) || 5) * 60,
-            pauseBetweenBatchesMax: (parseInt(elements.pauseMax.value) || 10) * 60
-        };
+        const newSettings = collectFormSettings();
+        elements.unfollowPrivateMode.disabled = !newSettings.unfollowPrivate;
+        elements.unfollowAfterDays.disabled = newSettings.unfollowSource !== 'noFollowBack';
+        elements.budgetTimeZone.disabled = newSettings.budgetWindow !== 'calendarDay' && !newSettings.scheduleEnabled;
         
         // Validate settings
         if (!validateSettings(newSettings)) {
@@ -304,7 +997,13 @@ async function handleSettingsChange() {
             settings: newSettings
         });
         
-        if (response && response.status === 'acknowledged') {
+        if (response && response.status === 'error') {
+            showSettingErrors(response.fieldErrors || {});
+            showError(response.error || 'Failed to save settings');
+        } else if (response && response.status === 'acknowledged') {
+            if (newSettings.doNotFollowDays !== currentSettings.doNotFollowDays) {
+                loadDoNotFollow(); // The window decides which past unfollows are listed
+            }
             currentSettings = { ...currentSettings, ...newSettings };
             console.log('Settings saved successfully:', newSettings);
         }
@@ -319,58 +1018,40 @@ async function handleSettingsChange() {
  * Validate all settings before starting automation
  */
 function validateAllSettings() {
-    const settings = {
-        intervalMin: parseInt(elements.intervalMin.value),
-        intervalMax: parseInt(elements.intervalMax.value),
-        actionsPerBatch: parseInt(elements.actionsPerBatch.value),
-        dailyLimit: parseInt(elements
-dailyLimit.value),
-        pauseBetweenBatchesMin: (parseInt(elements.pauseMin.value) || 5) * 60,
-        pauseBetweenBatchesMax: (parseInt(elements.pauseMax.value) || 10) * 60
-    };
-    
-    return validateSettings(settings);
+    return validateSettings(collectFormSettings());
 }
 
 /**
- * Validate settings object
+ * Validate settings object against the shared schema (settings_schema.js)
  */
 function validateSettings(settings) {
-    // Check for valid numbers
-    if (isNaN(settings.intervalMin) || isNaN(settings.intervalMax) || 
-        isNaN(settings.actionsPerBatch) || isNaN(settings.dailyLimit)) {
-        showError('All settings must be valid numbers');
-        return false;
-    }
-    
-    // Check min/max relationships
-    if (settings.intervalMin >= settings.intervalMax) {
-        showError('Maximum interval must be greater than minimum interval');
-        return false;
-    }
-    
-    if (settings.pauseBetweenBatchesMin >= settings.pauseBetweenBatchesMax) {
-        showError('Maximum pause must be greater than minimum pause');
-        return false;
-    }
-    
-    // Check reasonable limits
-    if (settings.intervalMin < 2) {
-        showError('Minimum interval should be at least 2 seconds');
-        return false;
-    }
-    
-    if (settings.actionsPerBatch > 50) {
-        showError('Actions per batch should not exceed 50');
-        return false;
-    }
+    const { valid, errors } = checkSettings(settings, { partial: true });
+    showSettingErrors(errors);
+    return valid;
+}
+
+/**
+ * Mark the inputs of invalid settings and show the first problem
+ * @param {Object<string, string>} errors - Messages keyed by setting name
+ */
+function showSettingErrors(errors) {
+    document.querySelectorAll('.field-invalid').forEach(input => {
+        input.classList.remove('field-invalid');
+        input.removeAttribute('title');
+    });
     
-    if (settings.dailyLimit > 500) {
-        showError('Daily limit should not exceed 500 for safety');
-        return false;
+    const entries = Object.entries(errors);
+    entries.forEach(([key, message]) => {
+        const input = elements[SETTING_INPUT_IDS[key] || key];
+        if (input) {
+            input.classList.add('field-invalid');
+            input.title = message;
+        }
+    });
+    if (entries.length > 0) {
+        const more = entries.length > 1 ? ` (+${entries.length - 1} more)` : '';
+        showError(entries[0][1] + more);
     }
-    
-    return true;
 }
 
 /**
@@ -397,6 +1078,839 @@ function validatePausePair() {
     }
 }
 
+/**
+ * Load the followers/following snapshot summary from background
+ */
+async function loadNonFollowerStats() {
+    try {
+        const response = await sendMessageToBackground({ command: 'getNonFollowerStats' });
+        if (response && response.stats) {
+            renderNonFollowerStats(response.stats);
+        }
+    } catch (error) {
+        console.error('Error loading non-follower stats:', error);
+    }
+}
+
+/**
+ * Handle a snapshot refresh; the matching list must be open in the active tab
+ */
+async function handleRefreshSnapshot(command, button) {
+    const originalText = button.textContent;
+    button.disabled = true;
+    button.textContent = 'Collecting...';
+    
+    try {
+        const response = await sendMessageToBackground({ command: command });
+        if (!response || !response.stats) {
+            throw new Error(response && response.error ? response.error : 'No response');
+        }
+        renderNonFollowerStats(response.stats);
+        if (command === 'refreshFollowersSnapshot') {
+            await loadFollowBackStats(); // Follow-backs are updated from the followers snapshot
+        }
+    } catch (error) {
+        console.error('Error refreshing snapshot:', error);
+        showError(error.message);
+    } finally {
+        button.disabled = false;
+        button.textContent = originalText;
+    }
+}
+
+/**
+ * Render snapshot counts and the resulting non-follower candidate count
+ */
+function renderNonFollowerStats(stats) {
+    elements.followersSnapshotCount.textContent = stats.followers ? stats.followers.count : '–';
+    elements.followingSnapshotCount.textContent = stats.following ? stats.following.count : '–';
+    
+    if (!stats.followers) {
+        elements.nonFollowerDetails.textContent = 'Open your Followers list on Instagram and refresh the snapshot. Keep the tab visible while it loads.';
+    } else if (!stats.followers.complete) {
+        elements.nonFollowerDetails.textContent = 'The followers snapshot is incomplete or could not be checked against your follower count. Refresh it with the list tab visible.';
+    } else if (stats.candidateCount === null) {
+        elements.nonFollowerDetails.textContent = 'Open your Following list and scan it to count candidates.';
+    } else {
+        const takenAt = new Date(stats.followers.timestamp).toLocaleString();
+        elements.nonFollowerDetails.textContent = `${stats.candidateCount} non-followers to unfollow (followers snapshot from ${takenAt}).`;
+    }
+}
+
+/**
+ * Load the follow-back tracking summary from background
+ */
+async function loadFollowBackStats() {
+    try {
+        const response = await sendMessageToBackground({ command: 'getFollowBackStats' });
+        if (response && response.stats) {
+            renderFollowBackStats(response.stats);
+        }
+    } catch (error) {
+        console.error('Error loading follow-back stats:', error);
+    }
+}
+
+/**
+ * Handle a manual follow-back check (opens the followers list in a background tab)
+ */
+async function handleCheckFollowBacks() {
+    const button = elements.checkFollowBacksBtn;
+    button.disabled = true;
+    button.textContent = 'Checking...';
+    
+    try {
+        await handleSettingsChange(); // Make sure the username just typed is used
+        const response = await sendMessageToBackground({ command: 'checkFollowBacks' });
+        if (!response || !response.stats) {
+            throw new Error(response && response.error ? response.error : 'No response');
+        }
+        renderFollowBackStats(response.stats);
+        await loadNonFollowerStats(); // The followers snapshot was refreshed as well
+    } catch (error) {
+        console.error('Error checking follow-backs:', error);
+        showError(error.message);
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Check Now';
+    }
+}
+
+/**
+ * Render follow-back tracking counts
+ */
+function renderFollowBackStats(stats) {
+    elements.followBackTracked.textContent = stats.tracked;
+    elements.followBackCount.textContent = stats.followingBack;
+    elements.followBackDue.textContent = stats.due;
+    
+    if (stats.tracked === 0) {
+        elements.followBackDetails.textContent = 'Accounts followed by the extension are tracked here.';
+    } else if (!stats.lastCheckedAt) {
+        elements.followBackDetails.textContent = 'Not checked yet. Set your username and check your followers.';
+    } else {
+        elements.followBackDetails.textContent = `Last checked ${new Date(stats.lastCheckedAt).toLocaleString()}.`;
+    }
+}
+
+/**
+ * Parse a pasted list of usernames (newline, comma, semicolon or space separated).
+ * Accepts '@handle' and profile URLs as well as plain usernames.
+ */
+function parseUsernameList(text) {
+    return text
+        .split(/[\s,;]+/)
+        .map(token => {
+            const urlMatch = token.match(/instagram\.com\/([^/?#]+)/i);
+            return (urlMatch ? urlMatch[1] : token).replace(/^@/, '').trim().toLowerCase();
+        })
+        .filter(username => /^[a-z0-9._]{1,30}$/.test(username));
+}
+
+/**
+ * Extract usernames from an imported file. CSV files use the column headed
+ * username/handle/instagram (or the first column); anything else is read as a plain list.
+ */
+function parseUsernameFile(text, fileName) {
+    if (!/\.csv$/i.test(fileName)) {
+        return parseUsernameList(text);
+    }
+    
+    const rows = text.split(/\r?\n/).filter(row => row.trim());
+    if (rows.length === 0) return [];
+    const cells = rows.map(row => row.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, '')));
+    const header = cells[0].map(cell => cell.toLowerCase());
+    const headerColumn = header.findIndex(cell => ['username', 'handle', 'instagram', 'user'].includes(cell));
+    const column = headerColumn >= 0 ? headerColumn : 0;
+    const dataRows = headerColumn >= 0 ? cells.slice(1) : cells;
+    return parseUsernameList(dataRows.map(row => row[column] || '').join('\n'));
+}
+
+/**
+ * Show how many distinct usernames the list currently holds
+ */
+function updateUsernameListCount() {
+    elements.usernameListCount.textContent = new Set(parseUsernameList(elements.usernameListInput.value)).size;
+}
+
+/**
+ * Handle loading a CSV/TXT file into the username list
+ */
+async function handleUsernameListFile() {
+    const file = elements.usernameListFile.files[0];
+    elements.usernameListFile.value = ''; // Allow loading the same file again
+    if (!file) return;
+    
+    try {
+        const usernames = parseUsernameFile(await file.text(), file.name);
+        if (usernames.length === 0) {
+            showError('No usernames found in the file');
+            return;
+        }
+        elements.usernameListInput.value = [...new Set(usernames)].join('\n');
+        updateUsernameListCount();
+    } catch (error) {
+        console.error('Error reading username list:', error);
+        showError('Failed to read the file');
+    }
+}
+
+/**
+ * Handle starting a run over the username list, using the selected action type
+ */
+async function handleStartOnList() {
+    const usernames = [...new Set(parseUsernameList(elements.usernameListInput.value))];
+    if (usernames.length === 0) {
+        showError('Add at least one username to the list');
+        return;
+    }
+    await handleStartAutomation(null, usernames);
+}
+
+/**
+ * Show the progress and per-username results of a username-list run
+ */
+function updateListRunDisplay(listRun) {
+    elements.usernameListStartBtn.disabled = Boolean(currentStatus.isActive);
+    if (!listRun) {
+        elements.usernameListProgress.hidden = true;
+        return;
+    }
+    
+    elements.usernameListProgress.hidden = false;
+    elements.usernameListProgress.textContent = `Visited ${listRun.position} of ${listRun.total} profiles.`;
+    elements.usernameListResults.replaceChildren();
+    Object.entries(listRun.results).forEach(([username, result]) => {
+        const item = document.createElement('li');
+        item.className = 'ledger-entry';
+        
+        const user = document.createElement('span');
+        user.className = 'ledger-entry-user';
+        user.textContent = `@${username}`;
+        
+        const outcome = document.createElement('span');
+        outcome.className = `ledger-entry-outcome ${result.outcome}`;
+        outcome.textContent = result.outcome;
+        
+        item.append(user, outcome);
+        if (result.details) {
+            const meta = document.createElement('span');
+            meta.className = 'ledger-entry-meta';
+            meta.textContent = result.details;
+            item.appendChild(meta);
+        }
+        elements.usernameListResults.appendChild(item);
+    });
+}
+
+/**
+ * Load the queued campaign sources from background
+ */
+async function loadCampaign() {
+    try {
+        const response = await sendMessageToBackground({ command: 'getCampaign' });
+        if (response && response.sources) {
+            campaignSources = response.sources;
+            renderCampaign();
+        }
+    } catch (error) {
+        console.error('Error loading campaign:', error);
+    }
+    updateCampaignSourceForm();
+}
+
+/**
+ * Show the action and username inputs the selected source type needs
+ */
+function updateCampaignSourceForm() {
+    const type = elements.campaignSourceType.value;
+    elements.campaignSourceActionGroup.hidden = type !== 'usernameList';
+    elements.campaignSourceInputGroup.hidden = type === 'ownFollowing';
+    elements.campaignSourceInputLabel.textContent = type === 'profileFollowers' ?
+        'Profiles (each one becomes a source):' : 'Usernames:';
+}
+
+/**
+ * Save the queued sources; the background validates and labels them
+ */
+async function saveCampaign(sources) {
+    const response = await sendMessageToBackground({ command: 'saveCampaign', sources: sources });
+    if (!response || !response.sources) {
+        throw new Error(response && response.error ? response.error : 'Failed to save campaign');
+    }
+    campaignSources = response.sources;
+    renderCampaign();
+}
+
+/**
+ * Handle adding the source described by the form to the campaign queue
+ */
+async function handleAddCampaignSource() {
+    const type = elements.campaignSourceType.value;
+    const usernames = [...new Set(parseUsernameList(elements.campaignSourceInput.value))];
+    let added;
+    if (type === 'ownFollowing') {
+        added = [{ type: type }];
+    } else if (type === 'profileFollowers') {
+        added = usernames.map(username => ({ type: type, username: username }));
+    } else {
+        added = usernames.length > 0 ? [{ type: type, actionType: elements.campaignSourceAction.value, usernames: usernames }] : [];
+    }
+    if (added.length === 0) {
+        showError('Enter at least one valid username');
+        return;
+    }
+    
+    try {
+        await saveCampaign([...campaignSources, ...added]);
+        elements.campaignSourceInput.value = '';
+    } catch (error) {
+        console.error('Error adding campaign source:', error);
+        showError(error.message);
+    }
+}
+
+/**
+ * Handle removing a queued source
+ */
+async function handleRemoveCampaignSource(index) {
+    try {
+        await saveCampaign(campaignSources.filter((source, i) => i !== index));
+    } catch (error) {
+        console.error('Error removing campaign source:', error);
+        showError('Failed to remove source');
+    }
+}
+
+/**
+ * Handle starting the campaign in the active Instagram tab
+ */
+async function handleStartCampaign() {
+    try {
+        if (!validateAllSettings()) {
+            return;
+        }
+        await handleSettingsChange();
+        
+        updateLoadingState(true);
+        const response = await sendMessageToBackground({ command: 'startCampaign' });
+        if (!response || response.status !== 'acknowledged') {
+            throw new Error(response && response.error ? response.error : 'Failed to start campaign');
+        }
+    } catch (error) {
+        console.error('Error starting campaign:', error);
+        showError(error.message);
+    } finally {
+        updateLoadingState(false);
+    }
+}
+
+/**
+ * Show the queued sources with the progress of the running (or last) campaign
+ */
+function renderCampaign() {
+    const lastRun = currentStatus.campaign;
+    const isBusy = Boolean(currentStatus.isActive || currentStatus.isPausedForBatch);
+    const rows = isBusy && lastRun ? lastRun.sources : campaignSources;
+    elements.campaignCount.textContent = campaignSources.length;
+    elements.campaignStartBtn.disabled = isBusy || campaignSources.length === 0;
+    elements.campaignList.replaceChildren();
+    
+    rows.forEach((row, index) => {
+        const item = document.createElement('li');
+        item.className = 'ledger-entry';
+        
+        const label = document.createElement('span');
+        label.className = 'ledger-entry-user';
+        label.textContent = `${index + 1}. ${row.label}`;
+        item.appendChild(label);
+        
+        // Progress is shown as long as the queue still matches the campaign it belongs to
+        const progress = lastRun && lastRun.sources[index] && lastRun.sources[index].label === row.label ?
+            lastRun.sources[index] : null;
+        let meta = null;
+        if (progress) {
+            const state = document.createElement('span');
+            state.className = `ledger-entry-outcome ${progress.status}`;
+            state.textContent = progress.status;
+            item.appendChild(state);
+            
+            meta = document.createElement('span');
+            meta.className = 'ledger-entry-meta';
+            meta.textContent = `${progress.completed} completed · ${progress.skipped} skipped · ${progress.failed} failed` +
+                (progress.note ? ` · ${progress.note}` : '');
+        }
+        if (!isBusy) {
+            const remove = document.createElement('button');
+            remove.className = 'chip-remove';
+            remove.textContent = '×';
+            remove.title = 'Remove this source';
+            remove.addEventListener('click', () => handleRemoveCampaignSource(index));
+            item.appendChild(remove);
+        }
+        if (meta) {
+            item.appendChild(meta);
+        }
+        elements.campaignList.appendChild(item);
+    });
+}
+
+/**
+ * Show the next working-hours window, or why the schedule can't be used
+ */
+function updateScheduleDisplay(schedule) {
+    if (!schedule || !schedule.enabled) {
+        elements.scheduleInfo.textContent = 'Schedule off';
+        return;
+    }
+    
+    let text;
+    if (schedule.activeUntil) {
+        text = `Scheduled run until ${new Date(schedule.activeUntil).toLocaleString()}.`;
+    } else if (schedule.nextWindow) {
+        const { start, end } = schedule.nextWindow;
+        text = start <= Date.now() ?
+            `In a window until ${new Date(end).toLocaleString()}.` :
+            `Next window ${new Date(start).toLocaleString()} – ${new Date(end).toLocaleTimeString()}.`;
+    } else {
+        text = 'No windows in the coming week.';
+    }
+    if (schedule.invalid.length > 0) {
+        text += ` Ignored: ${schedule.invalid.join('; ')}`;
+    }
+    elements.scheduleInfo.textContent = text;
+}
+
+/**
+ * Load the recent working-hours windows and what happened in them
+ */
+async function loadScheduleLog() {
+    try {
+        const response = await sendMessageToBackground({ command: 'getScheduleLog' });
+        if (!response || !response.log) return;
+        
+        elements.scheduleLog.replaceChildren();
+        response.log.slice(0, 10).forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'ledger-entry';
+            
+            const when = document.createElement('span');
+            when.className = 'ledger-entry-user';
+            when.textContent = new Date(entry.windowStart).toLocaleString();
+            
+            const event = document.createElement('span');
+            event.className = `ledger-entry-outcome ${entry.event === 'skipped' ? 'skipped' : 'completed'}`;
+            event.textContent = entry.event;
+            
+            item.append(when, event);
+            if (entry.reason) {
+                const meta = document.createElement('span');
+                meta.className = 'ledger-entry-meta';
+                meta.textContent = entry.reason;
+                item.appendChild(meta);
+            }
+            elements.scheduleLog.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error loading schedule log:', error);
+    }
+}
+
+/**
+ * Load the protected accounts whitelist from background
+ */
+async function loadProtectedAccounts() {
+    try {
+        const response = await sendMessageToBackground({ command: 'getProtectedAccounts' });
+        if (response && response.protectedAccounts) {
+            protectedAccounts = new Set(response.protectedAccounts);
+            renderProtectedAccounts();
+        }
+    } catch (error) {
+        console.error('Error loading protected accounts:', error);
+        showError('Failed to load protected accounts');
+    }
+}
+
+/**
+ * Handle adding the pasted usernames to the protected list
+ */
+async function handleAddProtectedAccounts() {
+    const usernames = parseUsernameList(elements.protectedInput.value);
+    if (usernames.length === 0) {
+        showError('No valid usernames found');
+        return;
+    }
+    
+    if (await addProtectedAccounts(usernames)) {
+        elements.protectedInput.value = '';
+    }
+}
+
+/**
+ * Add usernames to the protected list; returns true on success
+ */
+async function addProtectedAccounts(usernames) {
+    try {
+        const response = await sendMessageToBackground({
+            command: 'addProtectedAccounts',
+            usernames: usernames
+        });
+        if (!response || !response.protectedAccounts) {
+            throw new Error(response && response.error ? response.error : 'No response');
+        }
+        protectedAccounts = new Set(response.protectedAccounts);
+        renderProtectedAccounts();
+        return true;
+    } catch (error) {
+        console.error('Error adding protected accounts:', error);
+        showError('Failed to update protected accounts');
+        return false;
+    }
+}
+
+/**
+ * Remove a single username from the protected list
+ */
+async function handleRemoveProtectedAccount(username) {
+    try {
+        const response = await sendMessageToBackground({
+            command: 'removeProtectedAccount',
+            username: username
+        });
+        if (!response || !response.protectedAccounts) {
+            throw new Error(response && response.error ? response.error : 'No response');
+        }
+        protectedAccounts = new Set(response.protectedAccounts);
+        renderProtectedAccounts();
+    } catch (error) {
+        console.error('Error removing protected account:', error);
+        showError('Failed to update protected accounts');
+    }
+}
+
+/**
+ * Render the protected accounts as removable chips
+ */
+function renderProtectedAccounts() {
+    elements.protectedCount.textContent = protectedAccounts.size;
+    elements.protectedList.replaceChildren();
+    
+    protectedAccounts.forEach(username => {
+        const chip = document.createElement('li');
+        chip.className = 'chip';
+        chip.textContent = `@${username}`;
+        
+        const remove = document.createElement('button');
+        remove.className = 'chip-remove';
+        remove.textContent = '×';
+        remove.title = `Remove @${username} from protected accounts`;
+        remove.addEventListener('click', () => handleRemoveProtectedAccount(username));
+        
+        chip.appendChild(remove);
+        elements.protectedList.appendChild(chip);
+    });
+    
+    // Protected accounts are excluded from the non-follower candidates
+    loadNonFollowerStats();
+    
+    // Keep the one-click protect buttons in the action log in sync
+    elements.ledgerList.querySelectorAll('.ledger-entry-protect').forEach(button => {
+        button.disabled = protectedAccounts.has(button.dataset.username);
+        button.textContent = button.disabled ? 'Protected' : 'Protect';
+    });
+}
+
+/**
+ * Load the do-not-follow list from background
+ */
+async function loadDoNotFollow() {
+    try {
+        const response = await sendMessageToBackground({ command: 'getDoNotFollow' });
+        if (response && response.doNotFollow) {
+            renderDoNotFollow(response.doNotFollow);
+        }
+    } catch (error) {
+        console.error('Error loading do-not-follow list:', error);
+    }
+}
+
+/**
+ * Handle adding the pasted usernames to the do-not-follow list
+ */
+async function handleAddDoNotFollow() {
+    const usernames = parseUsernameList(elements.doNotFollowInput.value);
+    if (usernames.length === 0) {
+        showError('No valid usernames found');
+        return;
+    }
+    
+    try {
+        const response = await sendMessageToBackground({ command: 'addDoNotFollow', usernames: usernames });
+        if (!response || !response.doNotFollow) {
+            throw new Error(response && response.error ? response.error : 'No response');
+        }
+        elements.doNotFollowInput.value = '';
+        renderDoNotFollow(response.doNotFollow);
+    } catch (error) {
+        console.error('Error adding to do-not-follow list:', error);
+        showError('Failed to update the do-not-follow list');
+    }
+}
+
+/**
+ * Remove a single username from the do-not-follow list
+ */
+async function handleRemoveDoNotFollow(username) {
+    try {
+        const response = await sendMessageToBackground({ command: 'removeDoNotFollow', username: username });
+        if (!response || !response.doNotFollow) {
+            throw new Error(response && response.error ? response.error : 'No response');
+        }
+        renderDoNotFollow(response.doNotFollow);
+    } catch (error) {
+        console.error('Error removing from do-not-follow list:', error);
+        showError('Failed to update the do-not-follow list');
+    }
+}
+
+/**
+ * Render the do-not-follow list as removable chips
+ */
+function renderDoNotFollow(list) {
+    elements.doNotFollowCount.textContent = list.length;
+    elements.doNotFollowList.replaceChildren();
+    
+    list.forEach(({ username, source, since }) => {
+        const chip = document.createElement('li');
+        chip.className = 'chip';
+        chip.textContent = `@${username}`;
+        chip.title = source === 'manual' ? 'Added by hand' : `Unfollowed ${new Date(since).toLocaleString()}`;
+        
+        const remove = document.createElement('button');
+        remove.className = 'chip-remove';
+        remove.textContent = '×';
+        remove.title = `Allow following @${username} again`;
+        remove.addEventListener('click', () => handleRemoveDoNotFollow(username));
+        
+        chip.appendChild(remove);
+        elements.doNotFollowList.appendChild(chip);
+    });
+}
+
+/**
+ * Load the active selector pack from background
+ */
+async function loadSelectorPack() {
+    try {
+        const response = await sendMessageToBackground({ command: 'getSelectorPack' });
+        if (response && response.pack) {
+            renderSelectorPack(response);
+        }
+    } catch (error) {
+        console.error('Error loading selector pack:', error);
+    }
+}
+
+/**
+ * Handle a selector pack JSON file picked for import
+ */
+async function handleSelectorPackImport() {
+    const file = elements.selectorImportFile.files[0];
+    elements.selectorImportFile.value = ''; // Allow re-importing the same file
+    if (!file) return;
+    
+    try {
+        let pack;
+        try {
+            pack = JSON.parse(await file.text());
+        } catch (parseError) {
+            throw new Error('File is not valid JSON');
+        }
+        
+        const response = await sendMessageToBackground({ command: 'importSelectorPack', pack: pack });
+        if (!response || !response.pack) {
+            throw new Error(response && response.error ? response.error : 'Import failed');
+        }
+        renderSelectorPack(response);
+        elements.selectorTestResults.replaceChildren();
+        
+    } catch (error) {
+        console.error('Error importing selector pack:', error);
+        showError(error.message);
+    }
+}
+
+/**
+ * Handle resetting to the built-in selector pack
+ */
+async function handleSelectorPackReset() {
+    try {
+        const response = await sendMessageToBackground({ command: 'resetSelectorPack' });
+        if (!response || !response.pack) {
+            throw new Error(response && response.error ? response.error : 'Reset failed');
+        }
+        renderSelectorPack(response);
+        elements.selectorTestResults.replaceChildren();
+    } catch (error) {
+        console.error('Error resetting selector pack:', error);
+        showError(error.message);
+    }
+}
+
+/**
+ * Show which selector pack is active
+ */
+function renderSelectorPack({ pack, builtIn }) {
+    const source = builtIn ? 'built-in' : `imported ${new Date(pack.importedAt).toLocaleString()}`;
+    elements.selectorPackInfo.textContent = `${pack.name || 'Unnamed'} v${pack.version} (${source})`;
+    elements.selectorResetBtn.disabled = builtIn;
+}
+
+/**
+ * Run the selector self-test on the open Instagram page and list the results per role
+ */
+async function handleSelectorSelfTest() {
+    elements.selectorTestBtn.disabled = true;
+    
+    try {
+        const response = await sendMessageToBackground({ command: 'selectorSelfTest' });
+        if (!response || response.status !== 'selfTested') {
+            throw new Error(response && response.error ? response.error : 'Self-test failed');
+        }
+        
+        elements.selectorTestResults.replaceChildren();
+        const locale = document.createElement('li');
+        locale.className = 'selftest-item';
+        locale.textContent = `Button labels: ${response.report.locale}`;
+        elements.selectorTestResults.appendChild(locale);
+        
+        Object.entries(response.report.roles).forEach(([role, result]) => {
+            const item = document.createElement('li');
+            item.className = `selftest-item ${result.count > 0 ? 'ok' : 'missing'}`;
+            
+            const name = document.createElement('span');
+            name.className = 'selftest-role';
+            name.textContent = role;
+            
+            const count = document.createElement('span');
+            count.textContent = result.count > 0 ? `${result.count} match${result.count === 1 ? '' : 'es'}` : 'not found';
+            
+            const selector = document.createElement('span');
+            selector.className = 'selftest-selector';
+            const invalid = result.selectors.filter(s => s.error).length;
+            selector.textContent = (result.matchedSelector || 'no selector matched') +
+                (invalid > 0 ? ` · ${invalid} invalid` : '');
+            selector.title = result.selectors.map(s => `${s.count}\t${s.selector}${s.error ? ` (${s.error})` : ''}`).join('\n');
+            
+            item.append(name, count, selector);
+            elements.selectorTestResults.appendChild(item);
+        });
+        
+    } catch (error) {
+        console.error('Error running selector self-test:', error);
+        showError(error.message);
+    } finally {
+        elements.selectorTestBtn.disabled = false;
+    }
+}
+
+/**
+ * Build a ledger query from the action log filters
+ */
+function getLedgerQuery() {
+    const query = { limit: LEDGER_PAGE_SIZE };
+    
+    if (elements.ledgerDate.value) {
+        // The date input is 'YYYY-MM-DD'; query the whole local day
+        const [year, month, day] = elements.ledgerDate.value.split('-').map(Number);
+        query.from = new Date(year, month - 1, day).getTime();
+        query.to = new Date(year, month - 1, day + 1).getTime() - 1;
+    }
+    if (elements.ledgerUsername.value.trim()) {
+        query.username = elements.ledgerUsername.value.trim();
+    }
+    if (elements.ledgerActionType.value) {
+        query.actionType = elements.ledgerActionType.value;
+    }
+    if (elements.ledgerOutcome.value) {
+        query.outcome = elements.ledgerOutcome.value;
+    }
+    
+    return query;
+}
+
+/**
+ * Query the action ledger and render the results
+ */
+async function handleLedgerSearch() {
+    try {
+        const response = await sendMessageToBackground({
+            command: 'queryLedger',
+            query: getLedgerQuery()
+        });
+        
+        if (!response || !response.entries) {
+            throw new Error(response && response.error ? response.error : 'No response');
+        }
+        renderLedgerEntries(response.entries);
+        
+    } catch (error) {
+        console.error('Error querying action log:', error);
+        showError('Failed to load action log');
+    }
+}
+
+/**
+ * Render ledger entries into the action log list
+ */
+function renderLedgerEntries(entries) {
+    elements.ledgerList.replaceChildren();
+    
+    if (entries.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'ledger-empty';
+        empty.textContent = 'No matching actions';
+        elements.ledgerList.appendChild(empty);
+        return;
+    }
+    
+    entries.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'ledger-entry';
+        
+        const user = document.createElement('span');
+        user.className = 'ledger-entry-user';
+        user.textContent = `${entry.actionType || 'action'} @${entry.username || 'unknown'}`;
+        
+        const outcome = document.createElement('span');
+        outcome.className = `ledger-entry-outcome ${entry.outcome}`;
+        outcome.textContent = entry.outcome;
+        
+        const meta = document.createElement('span');
+        meta.className = 'ledger-entry-meta';
+        const reason = entry.details || entry.reason;
+        const pending = entry.relationship === 'requested' ? ' · private (request pending)' : '';
+        meta.textContent = new Date(entry.timestamp).toLocaleString() + pending + (reason ? ` · ${reason}` : '');
+        meta.title = entry.pageUrl || '';
+        
+        item.append(user, outcome);
+        if (entry.username) {
+            // One-click whitelist straight from the log
+            const username = entry.username.toLowerCase();
+            const protect = document.createElement('button');
+            protect.className = 'ledger-entry-protect';
+            protect.dataset.username = username;
+            protect.disabled = protectedAccounts.has(username);
+            protect.textContent = protect.disabled ? 'Protected' : 'Protect';
+            protect.addEventListener('click', () => addProtectedAccounts([username]));
+            item.appendChild(protect);
+        }
+        item.appendChild(meta);
+        elements.ledgerList.appendChild(item);
+    });
+}
+
 /**
  * Send message to background script
  */
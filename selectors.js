@@ -0,0 +1,178 @@
+// selectors.js
+// Selector pack and button labels for the Instagram automation extension.
+// Every DOM lookup the content script makes goes through a "role" (list container,
+// row, action button, ...). Each role has an ordered list of fallback selectors:
+// the first selector that matches anything on the page wins.
+// The built-in pack below can be replaced by an imported, versioned JSON pack kept
+// in chrome.storage.local, so Instagram markup changes don't require a code edit.
+// Loaded by the content script (before content_script.js) and by the background
+// service worker through importScripts().
+
+// Storage key of an imported pack (exposed as STORAGE_KEYS.SELECTOR_PACK in background.js)
+const SELECTOR_PACK_STORAGE_KEY = 'instagramAutomationSelectorPack';
+
+// --- Selector Roles ---
+// Descriptions double as documentation for people writing their own packs.
+const SELECTOR_ROLES = {
+    // Scrollable container holding the user rows (Followers/Following modals or list pages)
+    listContainer: 'Scrollable container of the user list',
+    // Element wrapping one user's profile picture, username and action button
+    listItem: 'One user row in the list',
+    // Follow/Following/Requested button, queried *within* a row
+    actionButton: 'Follow/Unfollow button inside a row',
+    // Dialog asking to confirm an unfollow
+    confirmDialog: 'Unfollow confirmation dialog',
+    // Button confirming the unfollow, queried *within* the confirmation dialog
+    confirmButton: 'Confirm button inside the confirmation dialog',
+    // "Action Blocked" or similar warning dialogs
+    blockDialog: 'Action blocked warning',
+    // Verified badge, queried *within* a row (optional)
+    verifiedBadge: 'Verified badge inside a row',
+    // Profile picture, queried *within* a row (optional)
+    profilePicture: 'Profile picture inside a row',
+    // Instagram's blank placeholder avatar, queried *within* a row (optional)
+    defaultAvatar: 'Default (blank) profile picture inside a row',
+    // Follow/Following/Requested buttons in a profile page header (optional)
+    profileActionButton: 'Follow/Unfollow button on a profile page'
+};
+
+// Roles a pack may leave out; the built-in selectors are used for them instead.
+// Lets packs written before a role existed keep validating.
+const OPTIONAL_SELECTOR_ROLES = ['verifiedBadge', 'profilePicture', 'defaultAvatar', 'profileActionButton'];
+
+// --- Built-in Pack ---
+// Based on typical Instagram UI structure as of late 2023/early 2024.
+const DEFAULT_SELECTOR_PACK = {
+    name: 'Built-in',
+    version: 1,
+    roles: {
+        listContainer: [
+            'div[role="dialog"] div[style*="flex-direction: column"] > div:first-child',
+            'section.jgA5P',
+            'main[role="main"] div[style*="overflow-y: auto"]'
+        ],
+        listItem: [
+            'div[role="dialog"] div[style*="flex-direction: column"] > div:first-child > div',
+            '._aano',
+            '._acan._acao._acat._acav'
+        ],
+        actionButton: [
+            'button[type="button"]'
+        ],
+        confirmDialog: [
+            'div[role="dialog"][aria-label="Unfollow"]'
+        ],
+        confirmButton: [
+            'button._a9--._a9_1'
+        ],
+        blockDialog: [
+            'div[role="dialog"] h3',
+            'button[aria-label="OK"][tabindex="0"]'
+        ],
+        verifiedBadge: [
+            'svg[aria-label="Verified"]',
+            'svg[aria-label="Verificat"]',
+            'svg[aria-label="Verifiziert"]',
+            'svg[aria-label="Verificado"]'
+        ],
+        profilePicture: [
+            'img[alt*="profile picture"]',
+            'canvas + span img'
+        ],
+        defaultAvatar: [
+            'img[src*="44884218_345707102882519_2446069589734326272_n"]'
+        ],
+        profileActionButton: [
+            'header section button[type="button"]',
+            'header button',
+            'main header div[role="button"]'
+        ]
+    }
+};
+
+/**
+ * Validates the structure of a selector pack (e.g. one imported from a file).
+ * Selector syntax itself is only checked by the self-test on a live page.
+ * @param {object} pack - The candidate pack.
+ * @returns {string[]} - Human-readable problems; empty if the pack is valid.
+ */
+function validateSelectorPack(pack) {
+    const errors = [];
+
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+        return ['Pack must be a JSON object'];
+    }
+    if (!Number.isInteger(pack.version) || pack.version < 1) {
+        errors.push('"version" must be a positive integer');
+    }
+    if (pack.name !== undefined && typeof pack.name !== 'string') {
+        errors.push('"name" must be a string');
+    }
+    if (!pack.roles || typeof pack.roles !== 'object') {
+        errors.push('"roles" must be an object');
+        return errors;
+    }
+
+    Object.keys(SELECTOR_ROLES).forEach(role => {
+        const selectors = pack.roles[role];
+        if (selectors === undefined && OPTIONAL_SELECTOR_ROLES.includes(role)) {
+            return;
+        }
+        if (!Array.isArray(selectors) || selectors.length === 0) {
+            errors.push(`Role "${role}" needs a non-empty array of selectors`);
+        } else if (!selectors.every(selector => typeof selector === 'string' && selector.trim())) {
+            errors.push(`Role "${role}" contains an empty or non-string selector`);
+        }
+    });
+    Object.keys(pack.roles).forEach(role => {
+        if (!SELECTOR_ROLES[role]) {
+            errors.push(`Unknown role "${role}"`);
+        }
+    });
+
+    return errors;
+}
+
+// --- Button Labels ---
+// Lowercase button texts per Instagram UI language, used to classify action buttons.
+// 'follow' also covers "Follow back"; 'confirm' is the button confirming an unfollow.
+const BUTTON_LABELS = {
+    en: {
+        follow: ['follow', 'follow back'],
+        following: ['following'],
+        requested: ['requested'],
+        confirm: ['unfollow']
+    },
+    ro: {
+        follow: ['urmărește', 'urmareste', 'urmărește și tu', 'urmăriți'],
+        following: ['urmărești', 'urmaresti', 'urmărit', 'se urmărește'],
+        requested: ['solicitat', 'cerere trimisă', 'solicitare trimisă'],
+        confirm: ['anulează urmărirea', 'nu mai urmări', 'anulați urmărirea']
+    },
+    de: {
+        follow: ['folgen', 'zurückfolgen'],
+        following: ['gefolgt', 'abonniert'],
+        requested: ['angefragt', 'angefordert'],
+        confirm: ['nicht mehr folgen']
+    },
+    es: {
+        follow: ['seguir', 'seguir también'],
+        following: ['siguiendo'],
+        requested: ['solicitado', 'pendiente'],
+        confirm: ['dejar de seguir']
+    }
+};
+
+/**
+ * Picks the label locale: an explicit setting wins, otherwise the page's lang attribute.
+ * @param {string} [preferred='auto'] - A key of BUTTON_LABELS or 'auto'.
+ * @param {string} [pageLang] - The page's lang attribute (e.g. 'de-DE').
+ * @returns {string} - A key of BUTTON_LABELS (falls back to 'en').
+ */
+function resolveLabelLocale(preferred = 'auto', pageLang = '') {
+    if (preferred && preferred !== 'auto' && BUTTON_LABELS[preferred]) {
+        return preferred;
+    }
+    const primary = String(pageLang || '').toLowerCase().split('-')[0];
+    return BUTTON_LABELS[primary] ? primary : 'en';
+}
@@ -0,0 +1,265 @@
+// settings_schema.js
+// Settings schema for the Instagram automation extension.
+// Every setting has a type, an allowed range or set of values and a default; relations
+// between settings (a minimum below its maximum) are listed separately.
+// Stored settings carry a format version and are migrated forward when loaded.
+// Loaded by the popup (before popup.js) and by the background service worker through
+// importScripts(), so both sides validate settings the same way. Needs filter_rules.js.
+
+// Version of the stored settings format. Bump it and add a step to SETTINGS_MIGRATIONS
+// when a setting is renamed or changes meaning; new settings simply start at their default.
+const SETTINGS_VERSION = 1;
+
+// Steps upgrading stored values from the previous version to the keyed version
+const SETTINGS_MIGRATIONS = {
+    // v1: settings saved before versioning were a bare object; their values carry over as they are
+    1: values => values
+};
+
+/**
+ * Checks a follow filter rule list with the shared parser (filter_rules.js).
+ * @param {string} text
+ * @returns {string|null} - An error for the first regular expression that doesn't compile.
+ */
+function checkFilterRules(text) {
+    const invalid = parseFilterRules(text).invalid[0];
+    return invalid ? `Invalid regular expression: ${invalid.label}` : null;
+}
+
+/**
+ * Checks an IANA time zone name; empty means browser local time.
+ * @param {string} timeZone
+ * @returns {string|null}
+ */
+function checkTimeZone(timeZone) {
+    if (!timeZone) return null;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+        return null;
+    } catch (error) {
+        return `Unknown time zone "${timeZone}" (use e.g. Europe/Bucharest)`;
+    }
+}
+
+// --- Settings Schema ---
+// type: 'number' | 'boolean' | 'string'; numbers may be limited by integer/min/max,
+// strings by values (allowed values), pattern, maxLength or a check function returning an error.
+const SETTINGS_SCHEMA = {
+    intervalMin: { label: 'Min interval', type: 'number', integer: true, min: 2, max: 300, default: 5 }, // seconds
+    intervalMax: { label: 'Max interval', type: 'number', integer: true, min: 2, max: 300, default: 10 }, // seconds
+    actionsPerBatch: { label: 'Actions per batch', type: 'number', integer: true, min: 1, max: 50, default: 10 },
+    pauseBetweenBatchesMin: { label: 'Min pause (seconds)', type: 'number', integer: true, min: 60, max: 3600, default: 300 }, // seconds
+    pauseBetweenBatchesMax: { label: 'Max pause (seconds)', type: 'number', integer: true, min: 60, max: 3600, default: 600 }, // seconds
+    dailyLimit: { label: 'Daily limit', type: 'number', integer: true, min: 1, max: 500, default: 100 }, // Combined cap for follows and unfollows
+    dailyFollowLimit: { label: 'Follows per day', type: 'number', integer: true, min: 0, max: 500, default: 0 }, // 0 = only the combined cap applies
+    dailyUnfollowLimit: { label: 'Unfollows per day', type: 'number', integer: true, min: 0, max: 500, default: 0 }, // 0 = only the combined cap applies
+    hourlyFollowLimit: { label: 'Follows per hour', type: 'number', integer: true, min: 0, max: 200, default: 0 }, // Rolling hour; 0 = off
+    hourlyUnfollowLimit: { label: 'Unfollows per hour', type: 'number', integer: true, min: 0, max: 200, default: 0 }, // Rolling hour; 0 = off
+    // Unfollow only users missing from the cached followers snapshot
+    unfollowNonFollowers: { label: 'Unfollow non-followers', type: 'boolean', default: false },
+    // Filter unfollow targets by profile privacy (see unfollowPrivateMode)
+    unfollowPrivate: { label: 'Private account filter', type: 'boolean', default: false },
+    // 'only' = unfollow private accounts only, 'exclude' = never unfollow private accounts
+    unfollowPrivateMode: { label: 'Private account mode', type: 'string', values: ['only', 'exclude'], default: 'only' },
+    // 'list' = accounts in the open list, 'noFollowBack' = extension follows without follow-back after unfollowAfterDays
+    unfollowSource: { label: 'Unfollow source', type: 'string', values: ['list', 'noFollowBack'], default: 'list' },
+    // Days to wait for a follow-back before an extension follow becomes due for unfollowing
+    unfollowAfterDays: { label: 'Unfollow after', type: 'number', integer: true, min: 1, max: 90, default: 7 },
+    // Our own Instagram username; needed for the periodic follow-back check
+    ownUsername: { label: 'My username', type: 'string', pattern: /^[a-z0-9._]{0,30}$/, default: '' },
+    // How often to check our followers list for follow-backs (0 = never)
+    followBackCheckHours: { label: 'Follow-back check interval', type: 'number', integer: true, min: 0, max: 168, default: 24 },
+    // Accounts unfollowed within this many days are never followed again (0 = forever)
+    doNotFollowDays: { label: 'Do-not-follow window', type: 'number', integer: true, min: 0, max: 3650, default: 0 },
+    // Follow-mode row filters; rule lists are comma/newline separated keywords or /regex/flags
+    followFilterUsernameInclude: { label: 'Username includes', type: 'string', maxLength: 2000, check: checkFilterRules, default: '' },
+    followFilterUsernameExclude: { label: 'Username excludes', type: 'string', maxLength: 2000, check: checkFilterRules, default: '' },
+    followFilterFullNameInclude: { label: 'Full name includes', type: 'string', maxLength: 2000, check: checkFilterRules, default: '' },
+    followFilterFullNameExclude: { label: 'Full name excludes', type: 'string', maxLength: 2000, check: checkFilterRules, default: '' },
+    followFilterSkipVerified: { label: 'Skip verified accounts', type: 'boolean', default: false },
+    followFilterSkipNoPicture: { label: 'Skip accounts without a picture', type: 'boolean', default: false },
+    // Fetch each candidate's profile before acting and apply the metric thresholds below (0 = off)
+    inspectProfiles: { label: 'Inspect profiles', type: 'boolean', default: false },
+    metricMinFollowers: { label: 'Min followers', type: 'number', integer: true, min: 0, max: 1e9, default: 0 },
+    metricMaxFollowers: { label: 'Max followers', type: 'number', integer: true, min: 0, max: 1e9, default: 0 },
+    metricMaxFollowing: { label: 'Max following', type: 'number', integer: true, min: 0, max: 1e9, default: 0 },
+    metricMinPosts: { label: 'Min posts', type: 'number', integer: true, min: 0, max: 1e9, default: 0 },
+    metricMaxFollowingRatio: { label: 'Max following/followers ratio', type: 'number', min: 0, max: 1000, default: 0 },
+    metricSkipPrivate: { label: 'Skip private accounts', type: 'boolean', default: false },
+    metricSkipEmptyBio: { label: 'Skip accounts with an empty bio', type: 'boolean', default: false },
+    // How long fetched profile metrics are reused before fetching again
+    profileCacheHours: { label: 'Reuse metrics for', type: 'number', integer: true, min: 1, max: 720, default: 24 },
+    // Instagram UI language for button labels: 'auto' (page lang attribute) or a key of BUTTON_LABELS
+    uiLocale: { label: 'Instagram language', type: 'string', pattern: /^(auto|[a-z]{2})$/, default: 'auto' },
+    // Lockout after an action block before automation may start again
+    blockCooldownHours: { label: 'Block cooldown', type: 'number', integer: true, min: 1, max: 168, default: 24 },
+    // Each further block within blockRepeatWindowDays multiplies the lockout
+    blockCooldownMultiplier: { label: 'Block cooldown multiplier', type: 'number', min: 1, max: 10, default: 2 },
+    blockRepeatWindowDays: { label: 'Repeated block window', type: 'number', integer: true, min: 1, max: 90, default: 7 },
+    // Daily limit reduction after a block, for blockLimitReductionDays
+    blockLimitReductionPercent: { label: 'Limit reduction after a block', type: 'number', integer: true, min: 0, max: 90, default: 50 },
+    blockLimitReductionDays: { label: 'Limit reduction days', type: 'number', integer: true, min: 0, max: 30, default: 3 },
+    // 'calendarDay' = resets at midnight in budgetTimeZone, 'rolling24h' = last 24 hours
+    budgetWindow: { label: 'Daily limit counts', type: 'string', values: ['calendarDay', 'rolling24h'], default: 'calendarDay' },
+    // IANA time zone for 'calendarDay' and the working hours (e.g. 'Europe/Bucharest'); empty = browser local time
+    budgetTimeZone: { label: 'Time zone', type: 'string', maxLength: 64, check: checkTimeZone, default: '' },
+    // Start and stop automatically during the working hours in scheduleWindows
+    scheduleEnabled: { label: 'Working hours', type: 'boolean', default: false },
+    // One line per set of days, e.g. 'Mon-Fri 09:00-12:00, 18:00-21:00'; unreadable lines are ignored and listed
+    scheduleWindows: { label: 'Working-hours windows', type: 'string', maxLength: 2000, default: '' },
+    // What a window runs: 'campaign' = the queued campaign, 'unfollowFollowing' = unfollow from our Following list
+    scheduleMode: { label: 'Working-hours run', type: 'string', values: ['campaign', 'unfollowFollowing'], default: 'campaign' },
+    // Desktop notifications, one switch per event (see NOTIFICATION_EVENTS in background.js)
+    notifySessionCompleted: { label: 'Notify when a session completes', type: 'boolean', default: false },
+    notifyDailyLimit: { label: 'Notify when a daily limit is reached', type: 'boolean', default: false },
+    notifyActionBlocked: { label: 'Notify when Instagram blocks an action', type: 'boolean', default: false },
+    notifyConnectionLost: { label: 'Notify when the tab or content script is lost', type: 'boolean', default: false },
+    notifyBatchPause: { label: 'Notify when a batch pause starts and ends', type: 'boolean', default: false }
+};
+
+// Pairs of settings where the first must stay below the second.
+// allowEqual permits equal values; ignoreZero skips the check when either side is 0 (off).
+const SETTINGS_RELATIONS = [
+    { lower: 'intervalMin', upper: 'intervalMax', message: 'Maximum interval must be greater than minimum interval' },
+    { lower: 'pauseBetweenBatchesMin', upper: 'pauseBetweenBatchesMax', message: 'Maximum pause must be greater than minimum pause' },
+    { lower: 'metricMinFollowers', upper: 'metricMaxFollowers', allowEqual: true, ignoreZero: true,
+      message: 'Min followers must not exceed max followers' }
+];
+
+/**
+ * Gets a fresh copy of the default settings.
+ * @returns {object}
+ */
+function getDefaultSettings() {
+    const defaults = {};
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+        defaults[key] = field.default;
+    });
+    return defaults;
+}
+
+/**
+ * Checks one value against its schema entry.
+ * @param {object} field - An entry of SETTINGS_SCHEMA.
+ * @param {*} value
+ * @returns {string|null} - An error message, or null if the value is valid.
+ */
+function checkSettingValue(field, value) {
+    if (field.type === 'number') {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return `${field.label} must be a number`;
+        }
+        if (field.integer && !Number.isInteger(value)) {
+            return `${field.label} must be a whole number`;
+        }
+        if (value < field.min || value > field.max) {
+            return `${field.label} must be between ${field.min} and ${field.max}`;
+        }
+        return null;
+    }
+    if (typeof value !== field.type) {
+        return `${field.label} must be a ${field.type}`;
+    }
+    if (field.values && !field.values.includes(value)) {
+        return `${field.label} must be one of: ${field.values.join(', ')}`;
+    }
+    if (field.maxLength && value.length > field.maxLength) {
+        return `${field.label} must be at most ${field.maxLength} characters`;
+    }
+    if (field.pattern && !field.pattern.test(value)) {
+        return `${field.label} has an invalid format`;
+    }
+    return field.check ? field.check(value) : null;
+}
+
+/**
+ * Validates a settings object against the schema and the relations between settings.
+ * @param {object} candidate - The settings to check.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Allow settings to be missing (e.g. an update or a preset).
+ * @returns {{valid: boolean, errors: Object<string, string>, settings: object}} - Errors are keyed by
+ *          setting name; settings holds the valid values.
+ */
+function checkSettings(candidate, { partial = false } = {}) {
+    if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+        return { valid: false, errors: { settings: 'Settings must be an object' }, settings: {} };
+    }
+
+    const errors = {};
+    const values = {};
+    Object.keys(candidate).forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(SETTINGS_SCHEMA, key)) {
+            errors[key] = `Unknown setting "${key}"`;
+        }
+    });
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+        if (candidate[key] === undefined) {
+            if (!partial) errors[key] = `${field.label} is missing`;
+            return;
+        }
+        const error = checkSettingValue(field, candidate[key]);
+        if (error) {
+            errors[key] = error;
+        } else {
+            values[key] = candidate[key];
+        }
+    });
+
+    SETTINGS_RELATIONS.forEach(relation => {
+        const lower = values[relation.lower];
+        const upper = values[relation.upper];
+        if (lower === undefined || upper === undefined) return;
+        if (relation.ignoreZero && (lower === 0 || upper === 0)) return;
+        if (relation.allowEqual ? lower > upper : lower >= upper) {
+            errors[relation.upper] = relation.message;
+        }
+    });
+
+    return { valid: Object.keys(errors).length === 0, errors: errors, settings: values };
+}
+
+/**
+ * Brings stored settings up to date: runs the migrations after the stored version, fills in
+ * settings added since with their defaults and resets values that fail validation.
+ * @param {object|undefined} stored - What storage holds: { version, values }, or a bare
+ *                                    object from before versioning.
+ * @returns {{settings: object, changed: boolean, repaired: string[]}} - changed tells whether
+ *          the stored copy should be rewritten; repaired lists settings reset to their default.
+ */
+function migrateSettings(stored) {
+    if (!stored || typeof stored !== 'object') {
+        return { settings: getDefaultSettings(), changed: false, repaired: [] };
+    }
+
+    const versioned = Number.isInteger(stored.version) && stored.values && typeof stored.values === 'object';
+    let version = versioned ? stored.version : 0;
+    let values = { ...(versioned ? stored.values : stored) };
+    while (version < SETTINGS_VERSION) {
+        version++;
+        values = SETTINGS_MIGRATIONS[version] ? SETTINGS_MIGRATIONS[version](values) : values;
+    }
+
+    const settings = getDefaultSettings();
+    const repaired = [];
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+        if (values[key] === undefined) return;
+        if (checkSettingValue(field, values[key])) {
+            repaired.push(key);
+        } else {
+            settings[key] = values[key];
+        }
+    });
+    SETTINGS_RELATIONS.forEach(relation => {
+        if (!checkSettings(settings).errors[relation.upper]) return;
+        settings[relation.lower] = SETTINGS_SCHEMA[relation.lower].default;
+        settings[relation.upper] = SETTINGS_SCHEMA[relation.upper].default;
+        repaired.push(relation.lower, relation.upper);
+    });
+
+    const dropped = Object.keys(values).filter(key => !Object.prototype.hasOwnProperty.call(SETTINGS_SCHEMA, key));
+    return {
+        settings: settings,
+        changed: !versioned || stored.version !== SETTINGS_VERSION || repaired.length > 0 || dropped.length > 0,
+        repaired: repaired
+    };
+}